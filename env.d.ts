@@ -0,0 +1,19 @@
+// Optional settings and bindings that `wrangler types` cannot see, because they are not declared in wrangler.jsonc;
+// kept apart from the generated worker-configuration.d.ts so `npm run types` does not drop them
+declare namespace Cloudflare {
+	interface Env {
+		N8N_UPSTREAMS?: string;
+		PROXY_SETTINGS?: string;
+		WORKFLOW_SETTINGS?: string;
+		ROUTES?: string;
+		SCHEDULES?: string;
+		ADMIN_TOKEN?: string;
+		PROXY_CONFIG?: KVNamespace;
+		PROXY_DATA?: KVNamespace;
+		DELIVERY_QUEUE?: Queue;
+		RATE_LIMITER?: DurableObjectNamespace<import('./src/index').RateLimiter>;
+		CIRCUIT_BREAKER?: DurableObjectNamespace<import('./src/index').CircuitBreaker>;
+		REQUEST_STATS?: DurableObjectNamespace<import('./src/index').RequestStats>;
+		IDEMPOTENCY?: DurableObjectNamespace<import('./src/index').IdempotencyStore>;
+	}
+}
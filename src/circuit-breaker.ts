@@ -0,0 +1,82 @@
+import { DurableObject } from 'cloudflare:workers';
+
+// Name of the breaker instance that keeps track of every other breaker for the admin view
+export const CIRCUIT_REGISTRY = '_registry';
+
+// Define the shared state of one circuit breaker
+export type CircuitSnapshot = {
+	state: 'closed' | 'open' | 'half-open';
+	failures: number;
+	openedAt: number | null;
+	updatedAt: number;
+};
+
+export type CircuitStatus = CircuitSnapshot & {
+	allowed: boolean;
+	retryAfter: number;
+};
+
+// Tracks consecutive failures of one workflow endpoint; the registry instance lists every breaker that changed state
+export class CircuitBreaker extends DurableObject<Env> {
+	async check(key: string, cooldown: number): Promise<CircuitStatus> {
+		const snapshot = await this.getSnapshot();
+		const now = Date.now();
+
+		if (snapshot.state !== 'closed' && snapshot.openedAt !== null) {
+			const retryAt = snapshot.openedAt + cooldown * 1000;
+			if (now < retryAt) {
+				return { ...snapshot, allowed: false, retryAfter: Math.ceil((retryAt - now) / 1000) };
+			}
+
+			// A single probe is let through per cooldown to find out whether the endpoint recovered
+			const probing: CircuitSnapshot = { ...snapshot, state: 'half-open', openedAt: now, updatedAt: now };
+			await this.saveSnapshot(key, probing);
+			return { ...probing, allowed: true, retryAfter: 0 };
+		}
+
+		return { ...snapshot, allowed: true, retryAfter: 0 };
+	}
+
+	async record(key: string, success: boolean, threshold: number): Promise<void> {
+		const snapshot = await this.getSnapshot();
+		const now = Date.now();
+
+		if (success) {
+			await this.saveSnapshot(key, { state: 'closed', failures: 0, openedAt: null, updatedAt: now });
+			return;
+		}
+
+		const failures = snapshot.failures + 1;
+		const opens = snapshot.state === 'half-open' || failures >= threshold;
+		await this.saveSnapshot(key, {
+			state: opens ? 'open' : snapshot.state,
+			failures,
+			openedAt: opens ? now : snapshot.openedAt,
+			updatedAt: now
+		});
+	}
+
+	async track(key: string, snapshot: CircuitSnapshot): Promise<void> {
+		await this.ctx.storage.put(`circuit:${key}`, snapshot);
+	}
+
+	async list(): Promise<Record<string, CircuitSnapshot>> {
+		const entries = await this.ctx.storage.list<CircuitSnapshot>({ prefix: 'circuit:' });
+		return Object.fromEntries([...entries].map(([name, snapshot]) => [name.slice('circuit:'.length), snapshot]));
+	}
+
+	private async getSnapshot(): Promise<CircuitSnapshot> {
+		return await this.ctx.storage.get<CircuitSnapshot>('snapshot')
+			|| { state: 'closed', failures: 0, openedAt: null, updatedAt: Date.now() };
+	}
+
+	private async saveSnapshot(key: string, snapshot: CircuitSnapshot): Promise<void> {
+		const previous = await this.ctx.storage.get<CircuitSnapshot>('snapshot');
+		await this.ctx.storage.put('snapshot', snapshot);
+
+		if (previous?.state !== snapshot.state && this.env.CIRCUIT_BREAKER) {
+			const registry = this.env.CIRCUIT_BREAKER.get(this.env.CIRCUIT_BREAKER.idFromName(CIRCUIT_REGISTRY));
+			await registry.track(key, snapshot);
+		}
+	}
+}
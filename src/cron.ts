@@ -0,0 +1,87 @@
+// Missed runs are only caught up within this many minutes
+const MAX_SCHEDULE_CATCH_UP = 24 * 60;
+
+// Define the parsed fields of a five-field cron expression
+type CronSchedule = {
+	minutes: Set<number>;
+	hours: Set<number>;
+	days: Set<number>;
+	months: Set<number>;
+	weekdays: Set<number>;
+	anyDay: boolean;
+	anyWeekday: boolean;
+};
+
+const CRON_NAMES: Record<string, number> = {
+	jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12,
+	sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6
+};
+
+function parseCronField(field: string, min: number, max: number): Set<number> {
+	const values = new Set<number>();
+	for (const part of field.split(',')) {
+		const match = /^(\*|([a-z0-9]+)(?:-([a-z0-9]+))?)(?:\/(\d+))?$/i.exec(part);
+		const toNumber = (value: string) => CRON_NAMES[value.toLowerCase()] ?? (/^\d+$/.test(value) ? Number(value) : NaN);
+		if (!match) {
+			throw new Error(`Invalid cron field '${field}'`);
+		}
+
+		const start = match[1] === '*' ? min : toNumber(match[2]);
+		const end = match[1] === '*' ? max : match[3] !== undefined ? toNumber(match[3]) : match[4] ? max : start;
+		const step = match[4] ? Number(match[4]) : 1;
+		if (!(start >= min && end <= max && start <= end && step > 0)) {
+			throw new Error(`Invalid cron field '${field}'`);
+		}
+		for (let value = start; value <= end; value += step) {
+			values.add(value);
+		}
+	}
+	return values;
+}
+
+// Parse a cron expression with minute, hour, day of month, month and day of week, evaluated in UTC
+export function parseCron(expression: string): CronSchedule {
+	const fields = expression.trim().split(/\s+/);
+	if (fields.length !== 5) {
+		throw new Error(`Cron expression '${expression}' must have five fields`);
+	}
+
+	const weekdays = parseCronField(fields[4], 0, 7);
+	// Both 0 and 7 stand for Sunday
+	if (weekdays.delete(7)) {
+		weekdays.add(0);
+	}
+	return {
+		minutes: parseCronField(fields[0], 0, 59),
+		hours: parseCronField(fields[1], 0, 23),
+		days: parseCronField(fields[2], 1, 31),
+		months: parseCronField(fields[3], 1, 12),
+		weekdays,
+		anyDay: fields[2] === '*',
+		anyWeekday: fields[4] === '*'
+	};
+}
+
+function matchesCron(schedule: CronSchedule, time: number): boolean {
+	const date = new Date(time);
+	const day = schedule.days.has(date.getUTCDate());
+	const weekday = schedule.weekdays.has(date.getUTCDay());
+	// As in cron, a restricted day of month and day of week match when either of them does
+	const dayMatches = schedule.anyDay || schedule.anyWeekday ? day && weekday : day || weekday;
+
+	return schedule.minutes.has(date.getUTCMinutes())
+		&& schedule.hours.has(date.getUTCHours())
+		&& schedule.months.has(date.getUTCMonth() + 1)
+		&& dayMatches;
+}
+
+// Find the latest minute at or before `time` and after `after` at which the schedule was due
+export function findDueTime(schedule: CronSchedule, time: number, after: number): number | null {
+	const earliest = Math.max(after + 60000, time - MAX_SCHEDULE_CATCH_UP * 60000);
+	for (let minute = time; minute >= earliest; minute -= 60000) {
+		if (matchesCron(schedule, minute)) {
+			return minute;
+		}
+	}
+	return null;
+}
@@ -0,0 +1,72 @@
+import { DurableObject } from 'cloudflare:workers';
+
+// A key whose request never finished, e.g. because the worker was evicted, is freed after this many seconds
+export const IDEMPOTENCY_LOCK_TTL = 60;
+
+// Define a response kept for repeated requests
+export type StoredResponse = {
+	status: number;
+	headers: string[][];
+	body: string;
+};
+
+// Define the state of an idempotency key: claimed by this request, answered before, or still running elsewhere
+export type IdempotencyClaim =
+	| { state: 'claimed' }
+	| { state: 'completed'; response: StoredResponse }
+	| { state: 'pending' };
+
+export type IdempotencyEntry =
+	| { state: 'pending'; expiresAt: number }
+	| { state: 'completed'; expiresAt: number; response: StoredResponse };
+
+// Holds one idempotency key: the first request claims it, duplicates wait for its response
+export class IdempotencyStore extends DurableObject<Env> {
+	private waiters: (() => void)[] = [];
+
+	async claim(wait: number): Promise<IdempotencyClaim> {
+		const waitUntil = Date.now() + wait;
+		while (true) {
+			const entry = await this.ctx.storage.get<IdempotencyEntry>('entry');
+			const now = Date.now();
+			if (entry?.state === 'completed' && entry.expiresAt > now) {
+				return { state: 'completed', response: entry.response };
+			}
+			if (!entry || entry.expiresAt <= now) {
+				await this.ctx.storage.put('entry', { state: 'pending', expiresAt: now + IDEMPOTENCY_LOCK_TTL * 1000 });
+				await this.ctx.storage.setAlarm(now + IDEMPOTENCY_LOCK_TTL * 1000);
+				return { state: 'claimed' };
+			}
+			if (now >= waitUntil) {
+				return { state: 'pending' };
+			}
+
+			// Woken up when the running request settles the key, or when the wait is over
+			await Promise.race([
+				new Promise<void>((resolve) => this.waiters.push(resolve)),
+				new Promise<void>((resolve) => setTimeout(resolve, waitUntil - now))
+			]);
+		}
+	}
+
+	async settle(response: StoredResponse | null, ttl: number): Promise<void> {
+		if (response) {
+			const expiresAt = Date.now() + ttl * 1000;
+			await this.ctx.storage.put('entry', { state: 'completed', expiresAt, response });
+			await this.ctx.storage.setAlarm(expiresAt);
+		} else {
+			await this.ctx.storage.deleteAll();
+		}
+
+		const waiters = this.waiters;
+		this.waiters = [];
+		waiters.forEach((resolve) => resolve());
+	}
+
+	async alarm(): Promise<void> {
+		const entry = await this.ctx.storage.get<IdempotencyEntry>('entry');
+		if (entry && entry.expiresAt <= Date.now()) {
+			await this.ctx.storage.deleteAll();
+		}
+	}
+}
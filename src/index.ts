@@ -1,12 +1,63 @@
+import { CIRCUIT_REGISTRY, type CircuitStatus } from './circuit-breaker';
+import { findDueTime, parseCron } from './cron';
+import { IDEMPOTENCY_LOCK_TTL, type IdempotencyClaim, type IdempotencyEntry, type StoredResponse } from './idempotency-store';
+import { type RateLimitResult } from './rate-limiter';
+import { findInvalidPatterns, validateJsonSchema, type JsonSchema } from './schema';
+import { parseXml } from './xml';
+
 class RequestError extends Error {
 	status: number;
 	response: Response;
+	endpoint?: string;
 
-	constructor(message: string, status: number, response: Response) {
+	constructor(message: string, status: number, response: Response, endpoint?: string) {
 		super(message);
 		this.name = 'RequestError';
 		this.status = status;
 		this.response = response;
+		this.endpoint = endpoint;
+	}
+}
+
+class StrategyError extends Error {
+	attempts: AttemptRecord[];
+	lastError: unknown;
+
+	constructor(lastError: unknown, attempts: AttemptRecord[]) {
+		super(lastError instanceof Error ? lastError.message : String(lastError));
+		this.name = 'StrategyError';
+		this.attempts = attempts;
+		this.lastError = lastError;
+	}
+}
+
+class TimeoutError extends Error {
+	timeout: number;
+
+	constructor(message: string, timeout: number) {
+		super(message);
+		this.name = 'TimeoutError';
+		this.timeout = timeout;
+	}
+}
+
+class RateLimitError extends Error {
+	result: RateLimitResult;
+
+	constructor(message: string, result: RateLimitResult) {
+		super(message);
+		this.name = 'RateLimitError';
+		this.result = result;
+	}
+}
+
+class CircuitOpenError extends Error {
+	retryAfter: number;
+
+	constructor(message: string, retryAfter: number) {
+		super(message);
+		this.name = 'CircuitOpenError';
+		this.retryAfter = retryAfter;
 	}
 }
 
@@ -21,7 +72,8 @@ const OPTION_TYPES = {
 	TEST_THEN_PROD: 'tp',
 	PROD_THEN_TEST: 'pt',
 	TEST_ONLY: 't',
-	PROD_ONLY: 'p'
+	PROD_ONLY: 'p',
+	ASYNC: 'a'
 } as const;
 
 // Define webhook strategy configurations
@@ -49,143 +101,3860 @@ const WEBHOOK_STRATEGIES: Record<string, WebhookStrategy> = {
 	}
 };
 
+// Define the path prefix for named route aliases
+const ROUTE_PREFIX = 'hooks';
+
+// Define the path prefix for looking up async deliveries
+const DELIVERY_PREFIX = '_deliveries';
+
+// Define the path prefix for operator endpoints
+const ADMIN_PREFIX = '_admin';
+
+// Define error codes returned in proxy error responses
+const ERROR_CODES = {
+	CONFIGURATION_ERROR: 'configuration-error',
+	MISSING_WORKFLOW_ID: 'missing-workflow-id',
+	ROUTE_NOT_FOUND: 'route-not-found',
+	METHOD_NOT_ALLOWED: 'method-not-allowed',
+	UNAUTHORIZED: 'unauthorized',
+	RATE_LIMITED: 'rate-limited',
+	CIRCUIT_OPEN: 'circuit-open',
+	MAINTENANCE: 'maintenance',
+	INVALID_CONFIGURATION: 'invalid-configuration',
+	INVALID_PAYLOAD: 'invalid-payload',
+	UNSUPPORTED_MEDIA_TYPE: 'unsupported-media-type',
+	ORIGIN_NOT_ALLOWED: 'origin-not-allowed',
+	PAYLOAD_TOO_LARGE: 'payload-too-large',
+	NOT_FOUND: 'not-found',
+	DELIVERY_NOT_FOUND: 'delivery-not-found',
+	BAD_REQUEST: 'bad-request',
+	IDEMPOTENCY_CONFLICT: 'idempotency-conflict',
+	UPSTREAM_FAILED: 'upstream-failed',
+	UPSTREAM_TIMEOUT: 'upstream-timeout'
+} as const;
+
+// Define how a failed strategy is answered: the last upstream response or a synthesized error
+const FAILURE_MODES = {
+	PASSTHROUGH: 'passthrough',
+	SYNTHESIZE: 'synthesize'
+} as const;
+
+// Define how a fan-out route answers: with the response of its primary target or with every result as JSON
+const FAN_OUT_MODES = {
+	PRIMARY: 'primary',
+	AGGREGATE: 'aggregate'
+} as const;
+
+// Define a single attempt made against an n8n endpoint
+type AttemptRecord = {
+	endpoint: string;
+	status: number | null;
+	error?: string;
+	timedOut?: boolean;
+};
+
+// Define additional details included in error responses
+type ErrorDetails = {
+	requestId?: string;
+	attempts?: AttemptRecord[];
+	errors?: string[];
+};
+
+// Define which upstream responses count as success
+type SuccessCriteria = {
+	statuses?: number[];
+	ranges?: string[];
+	fallbackOn?: 'failure' | 'not-registered';
+};
+
+const DEFAULT_SUCCESS_STATUSES = [200];
+
+// Define inbound authentication methods; secrets are referenced by the name of a Worker secret
+type ApiKeyAuth = {
+	type: 'api-key';
+	keys: string;
+	header?: string;
+	query?: string;
+};
+
+type HmacAuth = {
+	type: 'hmac';
+	secret: string;
+	provider?: 'github' | 'stripe' | 'slack' | 'generic';
+	header?: string;
+	prefix?: string;
+	algorithm?: 'SHA-1' | 'SHA-256' | 'SHA-512';
+	encoding?: 'hex' | 'base64';
+	timestampHeader?: string;
+	tolerance?: number;
+};
+
+type JwtAuth = {
+	type: 'jwt';
+	secret?: string;
+	jwksUrl?: string;
+	issuer?: string;
+	audience?: string;
+	tolerance?: number;
+};
+
+type AuthMethod = ApiKeyAuth | HmacAuth | JwtAuth;
+
+// Define which headers are exchanged with n8n; patterns may end with '*'
+type HeaderPolicy = {
+	allow?: string[];
+	deny?: string[];
+	forwarded?: boolean;
+	inject?: Record<string, string>;
+	response?: {
+		allow?: string[];
+		deny?: string[];
+	};
+};
+
+// Define options for preparing the headers sent to n8n
+type HeaderOptions = {
+	settings?: RouteSettings;
+	requestUrl?: string;
+	env?: Env;
+};
+
+// Headers that are never forwarded to n8n, on top of the ones consumed by inbound authentication
+const DEFAULT_DENIED_HEADERS = ['cf-*', 'cookie', 'x-forwarded-*', 'x-real-ip', 'cdn-loop'];
+
+// Inbound headers kept with stored requests because the forwarded headers are derived from them
+const CLIENT_ADDRESS_HEADERS = ['cf-connecting-ip', 'x-forwarded-for'];
+
+// Headers always forwarded when an allow list is set, so bodies stay readable
+const ALWAYS_ALLOWED_HEADERS = ['content-type', 'content-length'];
+
+// Define deadlines in milliseconds for a single upstream attempt and for the whole strategy
+type TimeoutPolicy = {
+	attempt?: number;
+	total?: number;
+};
+
+// Define how transient upstream errors are retried before an endpoint counts as failed
+type RetryPolicy = {
+	maxAttempts?: number;
+	statuses?: number[];
+	networkErrors?: boolean;
+	baseDelay?: number;
+	maxDelay?: number;
+	respectRetryAfter?: boolean;
+	nonIdempotent?: boolean;
+};
+
+const DEFAULT_RETRY_POLICY: Required<RetryPolicy> = {
+	maxAttempts: 3,
+	statuses: [429, 502, 503, 504],
+	networkErrors: true,
+	baseDelay: 200,
+	maxDelay: 5000,
+	respectRetryAfter: true,
+	nonIdempotent: false
+};
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Define how requests accepted in async mode are delivered to n8n later
+type DeliveryPolicy = {
+	strategy?: string;
+	maxRetries?: number;
+	retention?: number;
+};
+
+const DELIVERY_STATUSES = {
+	QUEUED: 'queued',
+	RETRYING: 'retrying',
+	DELIVERED: 'delivered',
+	DEAD: 'dead',
+	HELD: 'held'
+} as const;
+
+const DEFAULT_DELIVERY_RETRIES = 5;
+// "max_retries" of the queue consumer in wrangler.jsonc; the queue drops a message once it is used up
+const DELIVERY_QUEUE_MAX_RETRIES = 10;
+const DEFAULT_DELIVERY_RETENTION = 7 * 24 * 60 * 60;
+const MAX_DELIVERY_RETRY_DELAY = 15 * 60;
+
+// Define a request persisted for async delivery, stored in PROXY_DATA as "delivery:<id>"
+interface DeliveryRecord {
+	id: string;
+	status: (typeof DELIVERY_STATUSES)[keyof typeof DELIVERY_STATUSES];
+	webhookPath: string;
+	strategy: string;
+	attempts: number;
+	lastStatus: number | null;
+	lastError?: string;
+	createdAt: string;
+	updatedAt: string;
+	request: {
+		method: string;
+		origin: string;
+		search: string;
+		headers: [string, string][];
+		body: string | null;
+	};
+	settings: RouteSettings;
+}
+
+// Define a webhook called by the worker on a cron schedule
+type ScheduleEntry = {
+	cron: string;
+	target: string;
+	method?: string;
+	payload?: unknown;
+	headers?: Record<string, string>;
+	strategy?: string;
+	retries?: number;
+};
+
+// Define the outcome of the latest run of a schedule, kept in PROXY_DATA
+type ScheduleRun = {
+	scheduledTime: string;
+	status: 'succeeded' | 'failed';
+	attempts: number;
+	missed: boolean;
+	lastStatus: number | null;
+	lastError?: string;
+	updatedAt: string;
+};
+
+const DEFAULT_SCHEDULE_RETRIES = 2;
+
+// Define the message sent to DELIVERY_QUEUE; the request itself stays in KV to avoid message size limits
+type DeliveryMessage = {
+	id: string;
+};
+
+// Define a fixed-window rate limit; the test policy applies to webhook-test endpoints on top of the main limit
+type RateLimitPolicy = {
+	limit: number;
+	window: number;
+	key?: 'ip' | 'api-key' | 'workflow';
+	test?: {
+		limit: number;
+		window: number;
+	};
+};
+
+// Define when the circuit breaker of an endpoint opens and how long it stays open
+type CircuitBreakerPolicy = {
+	failures?: number;
+	cooldown?: number;
+};
+
+const DEFAULT_CIRCUIT_FAILURES = 5;
+const DEFAULT_CIRCUIT_COOLDOWN = 30;
+
+// Define how repeated deliveries of the same event are recognized and how long their response is kept
+type IdempotencyPolicy = {
+	header?: string;
+	path?: string;
+	ttl?: number;
+	wait?: number;
+};
+
+const DEFAULT_IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const DEFAULT_IDEMPOTENCY_TTL = 86400;
+const DEFAULT_IDEMPOTENCY_WAIT = 30000;
+const IDEMPOTENCY_POLL_INTERVAL = 250;
+
+// Define how responses are cached
+const CACHE_MODES = {
+	NO_STORE: 'no-store',
+	PASSTHROUGH: 'passthrough',
+	EDGE: 'edge'
+} as const;
+
+type CachePolicy = {
+	mode?: (typeof CACHE_MODES)[keyof typeof CACHE_MODES];
+	ttl?: number;
+	methods?: string[];
+	queryParams?: string[];
+};
+
+const DEFAULT_CACHE_TTL = 60;
+const DEFAULT_CACHED_METHODS = ['GET'];
+
+// Define the signature and signed payload read from an HMAC-signed request
+type SignedRequest = {
+	signatures: string[];
+	timestamp: string | null;
+	payloadPrefix: string;
+};
+
+const DEFAULT_MAX_BODY_SIZE = 10 * 1024 * 1024;
+
+// Define what is written to the structured request log
+type LoggingPolicy = {
+	enabled?: boolean;
+	body?: boolean;
+	redact?: string[];
+};
+
+// Query parameters, headers and JSON fields whose names contain one of these are redacted in logs
+const DEFAULT_REDACTED_FIELDS = ['authorization', 'cookie', 'token', 'secret', 'password', 'key', 'signature'];
+const MAX_LOGGED_BODY_SIZE = 4096;
+
+// Define how many recent requests of a workflow are kept for replaying and for how long, in seconds
+type CapturePolicy = {
+	enabled?: boolean;
+	limit?: number;
+	retention?: number;
+};
+
+const DEFAULT_CAPTURE_LIMIT = 20;
+const DEFAULT_CAPTURE_RETENTION = 24 * 60 * 60;
+const MAX_CAPTURED_RESPONSE_SIZE = 64 * 1024;
+
+// Define an inbound request recorded with the response it got, kept in PROXY_DATA
+interface CapturedRequest {
+	id: string;
+	workflowId: string;
+	webhookPath: string;
+	option: string;
+	// Settings the request was proxied with, including the ones of a /hooks/<slug> alias
+	settings: RouteSettings;
+	capturedAt: string;
+	request: {
+		method: string;
+		search: string;
+		headers: [string, string][];
+		body: string | null;
+		streamed: boolean;
+	};
+	response: {
+		status: number;
+		headers: [string, string][];
+		body: string;
+		truncated: boolean;
+	};
+}
+
+// Define the changes made to a captured request before it is replayed
+type ReplayOptions = {
+	endpoint?: string;
+	body?: unknown;
+	set?: Record<string, unknown>;
+};
+
+// Define one upstream request as it appears in the request log
+type AttemptTrace = {
+	endpoint: string;
+	upstream: string;
+	url: string;
+	status: number | null;
+	latency: number;
+	error?: string;
+};
+
+const DEFAULT_SIGNATURE_TOLERANCE = 300;
+const JWKS_CACHE_TTL = 10 * 60 * 1000;
+const JWKS_REFRESH_INTERVAL = 60 * 1000;
+
+const jwksCache = new Map<string, { keys: JsonWebKey[]; expires: number; refreshed: number }>();
+const jwksRequests = new Map<string, Promise<JsonWebKey[] | null>>();
+
+// Define a named n8n instance from N8N_UPSTREAMS; weight 0 keeps it for failover only
+type UpstreamConfig = {
+	url: string;
+	weight?: number;
+	cooldown?: number;
+};
+
+type Upstream = Required<UpstreamConfig> & { name: string };
+
+const DEFAULT_UPSTREAM = 'default';
+const DEFAULT_UPSTREAM_COOLDOWN = 30;
+
+// Statuses returned by Cloudflare when the n8n instance itself cannot be reached, so the request never ran
+const UNREACHABLE_STATUSES = [521, 522, 523, 530];
+
+// Gateway errors that n8n, or a proxy in front of it, may answer after the workflow already ran
+const GATEWAY_STATUSES = [502, 503, 504];
+
+// Upstreams that recently failed, with the time until which they are skipped
+const upstreamHealth = new Map<string, number>();
+
+// Define settings that can be set per deployment (PROXY_SETTINGS) or per workflow (WORKFLOW_SETTINGS)
+interface RouteSettings {
+	successCriteria?: SuccessCriteria;
+	auth?: AuthMethod | AuthMethod[];
+	maxBodySize?: number;
+	headers?: HeaderPolicy;
+	cache?: CachePolicy;
+	timeout?: TimeoutPolicy;
+	retry?: RetryPolicy;
+	delivery?: DeliveryPolicy;
+	rateLimit?: RateLimitPolicy;
+	logging?: LoggingPolicy;
+	capture?: CapturePolicy;
+	upstreams?: string[];
+	circuitBreaker?: CircuitBreakerPolicy;
+	maintenance?: MaintenanceState;
+	fallbackResponse?: CannedResponse;
+	validation?: ValidationPolicy;
+	cors?: CorsPolicy;
+	transform?: TransformPolicy;
+	idempotency?: IdempotencyPolicy;
+	failureMode?: (typeof FAILURE_MODES)[keyof typeof FAILURE_MODES];
+}
+
+// Define a named route alias from ROUTES or the PROXY_CONFIG KV namespace
+interface RouteAlias extends RouteSettings {
+	target?: string;
+	targets?: FanOutTarget[];
+	respond?: (typeof FAN_OUT_MODES)[keyof typeof FAN_OUT_MODES];
+	strategy?: string;
+	methods?: string[];
+}
+
+// Define one workflow a fan-out route delivers to
+type FanOutTarget = {
+	target: string;
+	strategy?: string;
+	primary?: boolean;
+};
+
+// Define a fan-out target resolved for one request
+interface ResolvedFanOutTarget {
+	workflowId: string;
+	webhookPath: string;
+	option: string;
+	primary: boolean;
+}
+
+// Define a static response configured instead of an n8n answer; without a body an error document is sent
+type CannedResponse = {
+	status?: number;
+	headers?: Record<string, string>;
+	json?: unknown;
+	html?: string;
+	text?: string;
+	message?: string;
+	retryAfter?: number;
+};
+
+// Define the checks applied to request payloads before they are forwarded
+type ValidationPolicy = {
+	schema?: JsonSchema;
+	contentTypes?: string[];
+	maxSize?: number;
+};
+
+const VALIDATED_CONTENT_TYPES = ['application/json', 'application/x-www-form-urlencoded', 'multipart/form-data'];
+
+// Define why a payload was rejected
+type PayloadRejection = {
+	status: number;
+	code: string;
+	message: string;
+	errors?: string[];
+};
+
+// Define which browser origins may call a route; origins may contain * as a wildcard
+type CorsPolicy = {
+	origins: string[];
+	methods?: string[];
+	headers?: string[];
+	exposeHeaders?: string[];
+	credentials?: boolean;
+	maxAge?: number;
+};
+
+const DEFAULT_CORS_METHODS = ['GET', 'HEAD', 'POST'];
+
+// Define headers or query parameters to set (values may be templates) and to remove
+type FieldChanges = {
+	set?: Record<string, string>;
+	remove?: string[];
+};
+
+// Define declarative rewrites of the request before it is sent and of the response before it is returned
+type TransformPolicy = {
+	request?: {
+		method?: string;
+		path?: string;
+		query?: FieldChanges;
+		headers?: FieldChanges;
+		body?: {
+			convert?: 'json';
+			unwrap?: string;
+			template?: unknown;
+		};
+	};
+	response?: {
+		status?: number | Record<string, number>;
+		headers?: FieldChanges;
+		body?: unknown;
+	};
+};
+
+const TEMPLATE_PATTERN = /\{\{\s*([\w.@#-]+)\s*\}\}/g;
+
+// Define the maintenance state of a workflow (or of every workflow as "*"), from settings or the admin API
+type MaintenanceState = CannedResponse & {
+	enabled: boolean;
+	capture?: boolean;
+	updatedAt?: number;
+};
+
+const GLOBAL_MAINTENANCE = '*';
+
+// Define per-request state shared between the steps of the proxy
+interface RequestContext {
+	settings: RouteSettings;
+	search?: string;
+	body?: ArrayBuffer | ReadableStream<Uint8Array> | null;
+	replayable?: boolean;
+	deadline?: number;
+	workflowId?: string;
+	option?: string;
+	trace?: AttemptTrace[];
+	requestId?: string;
+	queued?: boolean;
+	identity?: string;
+	synthetic?: boolean;
+}
+
+const requestContexts = new WeakMap<Request, RequestContext>();
+
+// Define the webhook, strategy and settings a request resolves to
+interface ResolvedTarget {
+	workflowId: string;
+	webhookPath: string;
+	option: string;
+	settings: RouteSettings;
+	methods?: string[];
+	fanOut?: {
+		respond: string;
+		targets: ResolvedFanOutTarget[];
+	};
+}
+
 // Define return type for parseRequestUrl
 interface ParsedUrl {
 	workflowId: string;
+	webhookPath: string;
 	option: string;
 	searchParams: string;
 }
 
-// Define the worker interface that extends ExportedHandler
-interface WorkerHandler extends ExportedHandler<Env> {
-	executeWebhookStrategy(
-		workflowId: string,
-		request: Request,
-		headers: Headers,
-		env: Env,
-		option: string
-	): Promise<Response>;
-	validateEnvironment(env: Env): boolean;
-	parseRequestUrl(requestUrl: string): ParsedUrl;
-	prepareHeaders(originalHeaders: Headers, baseUrl: string): Headers;
-	handleRequest(
-		workflowId: string,
-		request: Request,
-		headers: Headers,
-		env: Env,
-		isTestHook: boolean
-	): Promise<Response>;
-	makeRequest(
-		path: string,
-		originalRequest: Request,
-		headers: Headers,
-		env: Env
-	): Promise<Response>;
-	createNotCachedResponse(response: Response): Response;
+// Settings may come from wrangler.jsonc vars (already parsed) or from dashboard/secret strings (JSON)
+function parseJsonSetting<T>(value: unknown): T | undefined {
+	if (!value) {
+		return undefined;
+	}
+	if (typeof value === 'string') {
+		return JSON.parse(value) as T;
+	}
+	return value as T;
 }
 
-export default {
-	async fetch(request: Request, env: Env, ctx: ExecutionContext): Promise<Response> {
-		if (!this.validateEnvironment(env)) {
-			return new Response('Error: N8N_BASE_URL environment variable is not set', { status: 500 });
-		}
+// Parse a status range such as '2xx' or '200-299' into inclusive bounds
+function parseStatusRange(range: string): [number, number] {
+	const classMatch = /^([1-5])xx$/i.exec(range);
+	if (classMatch) {
+		const base = Number(classMatch[1]) * 100;
+		return [base, base + 99];
+	}
 
-		const { workflowId, option } = this.parseRequestUrl(request.url);
-		if (!workflowId) {
-			return new Response('Error: No workflow ID provided in the URL', { status: 400 });
-		}
+	const [min, max = min] = range.split('-').map((part) => Number(part.trim()));
+	return [min, max];
+}
 
-		const headers = this.prepareHeaders(request.headers, env.N8N_BASE_URL);
-		const response = await this.executeWebhookStrategy(workflowId, request, headers, env, option);
+// Describe a failed handleRequest call for error responses
+function describeAttempt(error: unknown, isTestHook: boolean): AttemptRecord {
+	return {
+		endpoint: error instanceof RequestError && error.endpoint
+			? error.endpoint
+			: isTestHook ? WEBHOOK_TYPES.TEST : WEBHOOK_TYPES.PRODUCTION,
+		status: error instanceof RequestError ? error.status : null,
+		error: error instanceof Error ? error.message : String(error),
+		// Attempts skipped because the total timeout was used up never reached the endpoint
+		...(error instanceof TimeoutError && error.timeout > 0 ? { timedOut: true } : {})
+	};
+}
 
-		return this.createNotCachedResponse(response);
-	},
+// Read the complete request body, preferring the copy buffered by the proxy
+async function readRequestBody(request: Request): Promise<ArrayBuffer | null> {
+	const context = requestContexts.get(request);
+	if (!context || context.body === undefined) {
+		return await request.clone().arrayBuffer();
+	}
+	return context.body instanceof ReadableStream ? null : context.body;
+}
 
-	async executeWebhookStrategy(
-		workflowId: string,
-		request: Request,
-		headers: Headers,
-		env: Env,
-		option: string
-	): Promise<Response> {
-		const strategy = WEBHOOK_STRATEGIES[option] || WEBHOOK_STRATEGIES[OPTION_TYPES.PROD_ONLY];
+// Time left for an upstream attempt, bounded by the attempt timeout and the total deadline
+function getAttemptTimeout(request: Request): { timeout: number; total: boolean } | null {
+	const context = requestContexts.get(request);
+	const attemptTimeout = context?.settings.timeout?.attempt;
+	const remaining = context?.deadline !== undefined ? context.deadline - Date.now() : undefined;
 
-		try {
-			return await this.handleRequest(workflowId, request, headers, env, strategy.primary);
-		} catch (error) {
-			if (strategy.fallback !== null) {
-				return await this.handleRequest(workflowId, request, headers, env, strategy.fallback);
+	if (remaining !== undefined && (attemptTimeout === undefined || remaining < attemptTimeout)) {
+		return { timeout: Math.max(remaining, 0), total: true };
+	}
+	return attemptTimeout !== undefined ? { timeout: attemptTimeout, total: false } : null;
+}
+
+function sleep(milliseconds: number): Promise<void> {
+	return new Promise((resolve) => setTimeout(resolve, milliseconds));
+}
+
+// Read Retry-After as seconds or as an HTTP date, in milliseconds
+function parseRetryAfter(value: string | null): number | null {
+	if (!value) {
+		return null;
+	}
+	if (/^\d+$/.test(value.trim())) {
+		return Number(value) * 1000;
+	}
+	const date = Date.parse(value);
+	return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+// Take the body for an upstream attempt; a streamed body can only be sent once
+function takeRequestBody(request: Request): ArrayBuffer | ReadableStream<Uint8Array> | null {
+	const context = requestContexts.get(request);
+	if (!context || context.body === undefined) {
+		return request.clone().body;
+	}
+
+	const { body } = context;
+	if (body instanceof ReadableStream) {
+		context.body = null;
+	}
+	return body;
+}
+
+// Continue a partially read stream after the chunks that were already buffered
+function resumeStream(
+	chunks: Uint8Array[],
+	reader: ReadableStreamDefaultReader<Uint8Array>
+): ReadableStream<Uint8Array> {
+	return new ReadableStream<Uint8Array>({
+		start(controller) {
+			for (const chunk of chunks) {
+				controller.enqueue(chunk);
 			}
-			throw error;
+		},
+		async pull(controller) {
+			const { done, value } = await reader.read();
+			if (done) {
+				controller.close();
+			} else {
+				controller.enqueue(value);
+			}
+		},
+		cancel(reason) {
+			return reader.cancel(reason);
 		}
-	},
+	});
+}
 
-	validateEnvironment(env: Env): boolean {
-		return !!env.N8N_BASE_URL;
-	},
+function matchesHeader(name: string, patterns: string[]): boolean {
+	const lowerName = name.toLowerCase();
+	return patterns.some((pattern) => {
+		const lowerPattern = pattern.toLowerCase();
+		return lowerPattern.endsWith('*')
+			? lowerName.startsWith(lowerPattern.slice(0, -1))
+			: lowerName === lowerPattern;
+	});
+}
 
-	parseRequestUrl(requestUrl: string): ParsedUrl {
-		const url = new URL(requestUrl);
-		const [option, workflowId] = url.pathname.split('/').filter(Boolean);
+function isRedacted(name: string, patterns: string[]): boolean {
+	const lowerName = name.toLowerCase();
+	return patterns.some((pattern) => lowerName.includes(pattern.toLowerCase()));
+}
 
-		return {
-			workflowId: workflowId || '',
-			option: option || OPTION_TYPES.PROD_ONLY,
-			searchParams: url.search
-		};
-	},
+// Replace the values of sensitive query parameters so URLs can be logged
+function redactUrl(url: URL, patterns: string[]): string {
+	const redacted = new URL(url.toString());
+	for (const name of new Set(redacted.searchParams.keys())) {
+		if (isRedacted(name, patterns)) {
+			redacted.searchParams.set(name, '[REDACTED]');
+		}
+	}
+	return redacted.pathname + redacted.search;
+}
 
-	prepareHeaders(originalHeaders: Headers, baseUrl: string): Headers {
-		const headers = new Headers(originalHeaders);
-		headers.set('host', new URL(baseUrl).host);
-		return headers;
-	},
+function redactJson(value: unknown, patterns: string[]): unknown {
+	if (Array.isArray(value)) {
+		return value.map((item) => redactJson(item, patterns));
+	}
+	if (value && typeof value === 'object') {
+		return Object.fromEntries(Object.entries(value).map(([name, item]) => [
+			name,
+			isRedacted(name, patterns) ? '[REDACTED]' : redactJson(item, patterns)
+		]));
+	}
+	return value;
+}
 
-	async handleRequest(
-		workflowId: string,
-		request: Request,
-		headers: Headers,
-		env: Env,
-		isTestHook: boolean
-	): Promise<Response> {
-		const webhookType = isTestHook ? WEBHOOK_TYPES.TEST : WEBHOOK_TYPES.PRODUCTION;
-		const path = `/${webhookType}/${workflowId}`;
+// Render a buffered request body for the log, with sensitive JSON fields redacted
+function describeRequestBody(context: RequestContext, patterns: string[]): unknown {
+	if (!(context.body instanceof ArrayBuffer)) {
+		return context.body === undefined || context.body === null ? null : '[stream]';
+	}
 
-		const response = await this.makeRequest(path, request, headers, env);
+	const text = new TextDecoder().decode(context.body.slice(0, MAX_LOGGED_BODY_SIZE));
+	try {
+		return redactJson(JSON.parse(text), patterns);
+	} catch {
+		return context.body.byteLength > MAX_LOGGED_BODY_SIZE ? `${text}…` : text;
+	}
+}
 
-		if (response.status !== 200) {
-			throw new RequestError(
-				`Request failed with status ${response.status}`,
-				response.status,
-				response
-			);
+// Headers carrying credentials for the proxy itself
+function getAuthHeaders(settings: RouteSettings): string[] {
+	const methods = settings.auth ? (Array.isArray(settings.auth) ? settings.auth : [settings.auth]) : [];
+	return methods.flatMap((method) => {
+		if (method.type === 'api-key' && !method.query) {
+			return [method.header || 'x-api-key'];
 		}
+		return method.type === 'jwt' ? ['authorization'] : [];
+	});
+}
 
-		return response;
-	},
+// Query parameters carrying API keys for the proxy, never forwarded to n8n
+function getAuthQueryParams(settings: RouteSettings): string[] {
+	const methods = settings.auth ? (Array.isArray(settings.auth) ? settings.auth : [settings.auth]) : [];
+	return methods.flatMap((method) => (method.type === 'api-key' && method.query ? [method.query] : []));
+}
 
-	async makeRequest(
+// Build the Cache API key from method, path and the selected query parameters
+function getCacheKey(url: URL, method: string, policy: CachePolicy): Request {
+	const names = policy.queryParams || [...new Set(url.searchParams.keys())];
+	const params = new URLSearchParams();
+	for (const name of [...names].sort()) {
+		for (const value of url.searchParams.getAll(name)) {
+			params.append(name, value);
+		}
+	}
+
+	const query = params.toString();
+	return new Request(`${url.origin}/${ADMIN_PREFIX}/cache/${method}${url.pathname}${query ? `?${query}` : ''}`);
+}
+
+function isCacheable(request: Request, policy: CachePolicy | undefined): policy is CachePolicy {
+	if (policy?.mode !== CACHE_MODES.EDGE) {
+		return false;
+	}
+	return (policy.methods || DEFAULT_CACHED_METHODS).map((method) => method.toUpperCase()).includes(request.method);
+}
+
+async function sha256Hex(value: string): Promise<string> {
+	const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+	return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+async function readJsonBody<T>(request: Request): Promise<T | null> {
+	try {
+		return await request.json<T>();
+	} catch {
+		return null;
+	}
+}
+
+function isPositiveNumber(value: unknown): boolean {
+	return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+// Check settings before they are stored, returning one message per problem
+function validateRouteSettings(settings: RouteSettings, env: Env): string[] {
+	const errors: string[] = [];
+	const upstreams = getUpstreams(env).map((upstream) => upstream.name);
+
+	for (const range of settings.successCriteria?.ranges || []) {
+		const [min, max] = typeof range === 'string' ? parseStatusRange(range) : [NaN, NaN];
+		if (Number.isNaN(min) || Number.isNaN(max)) {
+			errors.push(`successCriteria.ranges: '${range}' is not a status range`);
+		}
+	}
+	const authMethods = settings.auth ? (Array.isArray(settings.auth) ? settings.auth : [settings.auth]) : [];
+	for (const method of authMethods) {
+		if (!Object.prototype.hasOwnProperty.call(AUTH_VERIFIERS, method?.type)) {
+			errors.push(`auth: unknown type '${method?.type}'`);
+		}
+	}
+	if (settings.maxBodySize !== undefined && !isPositiveNumber(settings.maxBodySize)) {
+		errors.push('maxBodySize: must be a positive number');
+	}
+	if (settings.cache?.mode && !Object.values(CACHE_MODES).includes(settings.cache.mode)) {
+		errors.push(`cache.mode: unknown mode '${settings.cache.mode}'`);
+	}
+	for (const name of ['attempt', 'total'] as const) {
+		if (settings.timeout?.[name] !== undefined && !isPositiveNumber(settings.timeout[name])) {
+			errors.push(`timeout.${name}: must be a positive number`);
+		}
+	}
+	if (settings.rateLimit && !(isPositiveNumber(settings.rateLimit.limit) && isPositiveNumber(settings.rateLimit.window))) {
+		errors.push('rateLimit: limit and window must be positive numbers');
+	}
+	if (settings.failureMode && !Object.values(FAILURE_MODES).includes(settings.failureMode)) {
+		errors.push(`failureMode: unknown mode '${settings.failureMode}'`);
+	}
+	for (const name of settings.upstreams || []) {
+		if (!upstreams.includes(name)) {
+			errors.push(`upstreams: unknown upstream '${name}'`);
+		}
+	}
+	if (settings.maintenance !== undefined) {
+		errors.push(...validateMaintenanceState(settings.maintenance, 'maintenance'));
+	}
+	if (settings.fallbackResponse !== undefined) {
+		errors.push(...validateCannedResponse(settings.fallbackResponse, 'fallbackResponse'));
+	}
+	if (settings.validation?.schema !== undefined && (typeof settings.validation.schema !== 'object' || settings.validation.schema === null)) {
+		errors.push('validation.schema: must be a JSON Schema object');
+	} else if (settings.validation?.schema) {
+		errors.push(...findInvalidPatterns(settings.validation.schema).map((error) => `validation.schema${error}`));
+	}
+	if (settings.validation?.maxSize !== undefined && !isPositiveNumber(settings.validation.maxSize)) {
+		errors.push('validation.maxSize: must be a positive number');
+	}
+	if (settings.cors !== undefined && !(Array.isArray(settings.cors?.origins) && settings.cors.origins.length > 0)) {
+		errors.push('cors.origins: at least one origin is required');
+	}
+	if (settings.cors?.credentials && settings.cors.origins?.includes('*')) {
+		errors.push("cors.origins: '*' cannot be combined with credentials");
+	}
+	if (settings.transform?.request?.method && !/^[A-Za-z]+$/.test(settings.transform.request.method)) {
+		errors.push('transform.request.method: must be an HTTP method');
+	}
+	if (settings.transform?.request?.body?.convert !== undefined && settings.transform.request.body.convert !== 'json') {
+		errors.push("transform.request.body.convert: only 'json' is supported");
+	}
+	if (settings.idempotency?.ttl !== undefined && !isPositiveNumber(settings.idempotency.ttl)) {
+		errors.push('idempotency.ttl: must be a positive number');
+	}
+	if (settings.idempotency?.wait !== undefined && !(typeof settings.idempotency.wait === 'number' && settings.idempotency.wait >= 0)) {
+		errors.push('idempotency.wait: must be zero or a positive number');
+	}
+	const delivery = settings.delivery;
+	if (delivery?.strategy !== undefined && (delivery.strategy === OPTION_TYPES.ASYNC || !Object.values(OPTION_TYPES).includes(delivery.strategy as never))) {
+		errors.push(`delivery.strategy: unknown strategy '${delivery.strategy}'`);
+	}
+	// Deliveries must reach the dead-letter store before the queue gives up on the message
+	if (delivery?.maxRetries !== undefined && !(Number.isInteger(delivery.maxRetries) && delivery.maxRetries >= 0 && delivery.maxRetries < DELIVERY_QUEUE_MAX_RETRIES)) {
+		errors.push(`delivery.maxRetries: must be an integer from 0 to ${DELIVERY_QUEUE_MAX_RETRIES - 1}`);
+	}
+	if (settings.capture?.limit !== undefined && !(Number.isInteger(settings.capture.limit) && settings.capture.limit > 0)) {
+		errors.push('capture.limit: must be a positive integer');
+	}
+	if (settings.capture?.retention !== undefined && !(isPositiveNumber(settings.capture.retention) && settings.capture.retention >= 60)) {
+		errors.push('capture.retention: must be at least 60 seconds');
+	}
+	const status = settings.transform?.response?.status;
+	const statusMap: [string, unknown][] =
+		typeof status === 'object' && status !== null ? Object.entries(status) : status !== undefined ? [['*', status]] : [];
+	for (const [match, code] of statusMap) {
+		if ((match !== '*' && !/^[1-5](\d\d|xx)$/.test(match)) || !Number.isInteger(code) || (code as number) < 200 || (code as number) > 599) {
+			errors.push(`transform.response.status: '${match}' must map to a status between 200 and 599`);
+		}
+	}
+
+	return errors;
+}
+
+function validateCannedResponse(response: CannedResponse, name: string): string[] {
+	if (!response || typeof response !== 'object' || Array.isArray(response)) {
+		return [`${name}: must be an object`];
+	}
+
+	const errors: string[] = [];
+	if (response.status !== undefined && !(Number.isInteger(response.status) && response.status >= 200 && response.status <= 599)) {
+		errors.push(`${name}.status: must be an HTTP status between 200 and 599`);
+	}
+	if (response.headers !== undefined && !Object.values(response.headers || {}).every((value) => typeof value === 'string')) {
+		errors.push(`${name}.headers: values must be strings`);
+	}
+	if ([response.json, response.html, response.text].filter((body) => body !== undefined).length > 1) {
+		errors.push(`${name}: only one of json, html and text can be set`);
+	}
+	if (response.retryAfter !== undefined && !isPositiveNumber(response.retryAfter)) {
+		errors.push(`${name}.retryAfter: must be a positive number`);
+	}
+	return errors;
+}
+
+function validateMaintenanceState(state: MaintenanceState, name: string): string[] {
+	const errors = validateCannedResponse(state, name);
+	if (errors.length === 0 && typeof state.enabled !== 'boolean') {
+		errors.push(`${name}.enabled: must be true or false`);
+	}
+	return errors;
+}
+
+function validateRouteAlias(route: RouteAlias, env: Env): string[] {
+	if (!route || typeof route !== 'object' || Array.isArray(route)) {
+		return ['The route must be a JSON object'];
+	}
+
+	const errors: string[] = [];
+	if (route.targets !== undefined) {
+		if (route.target !== undefined) {
+			errors.push('target: cannot be combined with targets');
+		}
+		if (!Array.isArray(route.targets) || route.targets.length === 0) {
+			errors.push('targets: at least one target is required');
+		}
+		const targets = Array.isArray(route.targets) ? route.targets : [];
+		targets.forEach((target, index) => {
+			if (typeof target?.target !== 'string' || !target.target.split('/')[0]) {
+				errors.push(`targets[${index}].target: a webhook ID is required`);
+			}
+			// Queued deliveries have no response to forward or aggregate
+			if (target?.strategy !== undefined && (target.strategy === OPTION_TYPES.ASYNC || !Object.values(OPTION_TYPES).includes(target.strategy as never))) {
+				errors.push(`targets[${index}].strategy: unknown strategy '${target.strategy}'`);
+			}
+		});
+		if (targets.filter((target) => target?.primary).length > 1) {
+			errors.push('targets: only one target can be the primary');
+		}
+		if (route.respond !== undefined && !Object.values(FAN_OUT_MODES).includes(route.respond)) {
+			errors.push(`respond: unknown mode '${route.respond}'`);
+		}
+	} else if (typeof route.target !== 'string' || !route.target.split('/')[0]) {
+		errors.push('target: a webhook ID is required');
+	}
+	if (route.strategy !== undefined && !Object.values(OPTION_TYPES).includes(route.strategy as never)) {
+		errors.push(`strategy: unknown strategy '${route.strategy}'`);
+	}
+	if (route.methods !== undefined && !(Array.isArray(route.methods) && route.methods.every((method) => typeof method === 'string'))) {
+		errors.push('methods: must be a list of HTTP methods');
+	}
+
+	return [...errors, ...validateRouteSettings(route, env)];
+}
+
+// Collect form fields into an object, turning repeated fields into lists and files into their metadata
+function formToObject(entries: Iterable<[string, string | File]>): Record<string, unknown> {
+	const object: Record<string, unknown> = {};
+	for (const [name, entry] of entries) {
+		const value = typeof entry === 'string' ? entry : { filename: entry.name, type: entry.type, size: entry.size };
+		const existing = object[name];
+		if (existing === undefined) {
+			object[name] = value;
+		} else {
+			object[name] = Array.isArray(existing) ? [...existing, value] : [existing, value];
+		}
+	}
+	return object;
+}
+
+function isOriginAllowed(origin: string, patterns: string[]): boolean {
+	return patterns.some((pattern) => {
+		if (pattern === '*') {
+			return true;
+		}
+		const expression = pattern.toLowerCase().split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]+');
+		return new RegExp(`^${expression}$`).test(origin.toLowerCase());
+	});
+}
+
+function isPreflightRequest(request: Request): boolean {
+	return request.method === 'OPTIONS'
+		&& request.headers.has('origin')
+		&& request.headers.has('access-control-request-method');
+}
+
+// Parse a JSON, XML, form-urlencoded or multipart body; other content types are returned as undefined
+async function parseBody(body: ArrayBuffer, contentType: string): Promise<unknown> {
+	const mediaType = contentType.split(';')[0].trim().toLowerCase();
+	const text = () => new TextDecoder().decode(body);
+
+	if (mediaType === 'application/x-www-form-urlencoded') {
+		return formToObject(new URLSearchParams(text()));
+	}
+	if (mediaType === 'multipart/form-data') {
+		const form = await new Request('https://body.internal/', { method: 'POST', headers: { 'content-type': contentType }, body }).formData();
+		return formToObject(form as unknown as Iterable<[string, string | File]>);
+	}
+	if (mediaType === 'application/json' || mediaType.endsWith('+json')) {
+		return JSON.parse(text());
+	}
+	if (mediaType === 'application/xml' || mediaType === 'text/xml' || mediaType.endsWith('+xml')) {
+		return parseXml(text());
+	}
+	return undefined;
+}
+
+// Read a value by a dotted path such as "body.event.challenge"
+function readPath(source: unknown, path: string): unknown {
+	return path.split('.').reduce<unknown>((value, key) => {
+		return value !== null && typeof value === 'object' ? (value as Record<string, unknown>)[key] : undefined;
+	}, source);
+}
+
+// Segments that would reach the prototype of an object instead of one of its own properties
+const UNSAFE_PATH_SEGMENTS = ['__proto__', 'constructor', 'prototype'];
+
+// Set a value at a dotted path, creating the objects on the way
+function writePath(target: Record<string, unknown>, path: string, value: unknown): void {
+	const keys = path.split('.');
+	if (keys.some((key) => UNSAFE_PATH_SEGMENTS.includes(key))) {
+		throw new Error(`The path '${path}' is not allowed`);
+	}
+
+	let current = target;
+	for (const key of keys.slice(0, -1)) {
+		const next = Object.prototype.hasOwnProperty.call(current, key) ? current[key] : undefined;
+		current = current[key] = next !== null && typeof next === 'object' ? next as Record<string, unknown> : {};
+	}
+	current[keys[keys.length - 1]] = value;
+}
+
+// Sort keys of captured requests newest first
+function getCaptureId(): string {
+	return `${String(Number.MAX_SAFE_INTEGER - Date.now()).padStart(16, '0')}-${crypto.randomUUID()}`;
+}
+
+// Replace {{path}} placeholders; a string that is a single placeholder keeps the type of the value
+function renderTemplate(template: unknown, variables: Record<string, unknown>): unknown {
+	if (typeof template === 'string') {
+		const whole = /^\{\{\s*([\w.@#-]+)\s*\}\}$/.exec(template);
+		if (whole) {
+			return readPath(variables, whole[1]);
+		}
+		return template.replace(TEMPLATE_PATTERN, (placeholder, path: string) => {
+			const value = readPath(variables, path);
+			if (value === undefined || value === null) {
+				return '';
+			}
+			return typeof value === 'object' ? JSON.stringify(value) : String(value);
+		});
+	}
+	if (Array.isArray(template)) {
+		return template.map((item) => renderTemplate(item, variables));
+	}
+	if (template !== null && typeof template === 'object') {
+		return Object.fromEntries(Object.entries(template).map(([name, value]) => [name, renderTemplate(value, variables)]));
+	}
+	return template;
+}
+
+// Detect '.' and '..' segments, also percent-encoded, that URL resolution would use to leave the webhook path
+function hasDotSegments(path: string): boolean {
+	return path.split(/[\\/]/).some((segment) => {
+		let decoded = segment;
+		try {
+			decoded = decodeURIComponent(segment);
+		} catch {
+			// Malformed escapes are sent as they are
+		}
+		// Encoded slashes are split as well, in case n8n decodes them before routing
+		return decoded.split(/[\\/]/).some((part) => part === '.' || part === '..');
+	});
+}
+
+function applyFieldChanges(
+	fields: { set(name: string, value: string): void; delete(name: string): void },
+	changes: FieldChanges | undefined,
+	variables: Record<string, unknown>
+): void {
+	for (const name of changes?.remove || []) {
+		fields.delete(name);
+	}
+	for (const [name, value] of Object.entries(changes?.set || {})) {
+		fields.set(name, String(renderTemplate(value, variables) ?? ''));
+	}
+}
+
+// Persist everything needed to send a request to n8n later
+// Keep the inbound headers n8n may see; upstream credentials are injected again when the request is sent
+function getStoredHeaders(headers: Headers, settings: RouteSettings): [string, string][] {
+	const denied = [...DEFAULT_DENIED_HEADERS, ...getAuthHeaders(settings), ...(settings.headers?.deny || [])];
+	return [...headers].filter(([name]) => CLIENT_ADDRESS_HEADERS.includes(name) || !matchesHeader(name, denied)) as [string, string][];
+}
+
+function createDeliveryRecord(
+	request: Request,
+	body: ArrayBuffer | null,
+	webhookPath: string,
+	strategy: string,
+	settings: RouteSettings,
+	status: DeliveryRecord['status']
+): DeliveryRecord {
+	const now = new Date().toISOString();
+	return {
+		id: crypto.randomUUID(),
+		status,
+		webhookPath,
+		strategy,
+		attempts: 0,
+		lastStatus: null,
+		createdAt: now,
+		updatedAt: now,
+		request: {
+			method: request.method,
+			origin: new URL(request.url).origin,
+			search: requestContexts.get(request)?.search ?? new URL(request.url).search,
+			headers: getStoredHeaders(request.headers, settings),
+			body: body && body.byteLength > 0 ? encodeBase64(new Uint8Array(body)) : null
+		},
+		settings
+	};
+}
+
+// Read the configured upstreams, falling back to N8N_BASE_URL as the only one
+function getUpstreams(env: Env): Upstream[] {
+	const configured = parseJsonSetting<Record<string, string | UpstreamConfig>>(env.N8N_UPSTREAMS);
+	if (!configured) {
+		return env.N8N_BASE_URL
+			? [{ name: DEFAULT_UPSTREAM, url: env.N8N_BASE_URL, weight: 1, cooldown: DEFAULT_UPSTREAM_COOLDOWN }]
+			: [];
+	}
+
+	return Object.entries(configured).map(([name, config]) => {
+		const { url, weight = 1, cooldown = DEFAULT_UPSTREAM_COOLDOWN } = typeof config === 'string' ? { url: config } : config;
+		return { name, url, weight, cooldown };
+	});
+}
+
+// Upstreams serving a route, in the order they are tried
+function getRouteUpstreams(settings: RouteSettings, env: Env): Upstream[] {
+	const upstreams = getUpstreams(env);
+	if (!settings.upstreams) {
+		return upstreams;
+	}
+	return settings.upstreams
+		.map((name) => upstreams.find((upstream) => upstream.name === name))
+		.filter((upstream): upstream is Upstream => !!upstream);
+}
+
+function isUpstreamHealthy(upstream: Upstream): boolean {
+	return (upstreamHealth.get(upstream.name) ?? 0) <= Date.now();
+}
+
+// Identify the client a rate limit is counted for
+async function getRateLimitKey(request: Request, settings: RouteSettings): Promise<string> {
+	const key = settings.rateLimit?.key || 'ip';
+	if (key === 'workflow') {
+		return 'all';
+	}
+
+	if (key === 'api-key') {
+		const methods = settings.auth ? (Array.isArray(settings.auth) ? settings.auth : [settings.auth]) : [];
+		const apiKeyAuth = methods.find((method): method is ApiKeyAuth => method.type === 'api-key');
+		const apiKey = apiKeyAuth?.query
+			? new URL(request.url).searchParams.get(apiKeyAuth.query)
+			: request.headers.get(apiKeyAuth?.header || 'x-api-key');
+		// Keys are hashed so they never show up in Durable Object names
+		if (apiKey) {
+			return `key:${await sha256Hex(apiKey)}`;
+		}
+	}
+
+	return `ip:${request.headers.get('cf-connecting-ip') || 'unknown'}`;
+}
+
+// Identify the caller authenticated by a method: a hash of its API key or the subject of its token
+async function getAuthIdentity(request: Request, method: AuthMethod): Promise<string | undefined> {
+	if (method.type === 'api-key') {
+		const apiKey = method.query
+			? new URL(request.url).searchParams.get(method.query)
+			: request.headers.get(method.header || 'x-api-key');
+		return apiKey ? `key:${await sha256Hex(apiKey)}` : undefined;
+	}
+	if (method.type === 'jwt') {
+		const token = stripPrefix(request.headers.get('authorization'), 'Bearer ') || '';
+		try {
+			const { sub } = JSON.parse(new TextDecoder().decode(decodeBase64(token.split('.')[1])));
+			return typeof sub === 'string' ? `sub:${sub}` : `token:${await sha256Hex(token)}`;
+		} catch {
+			return undefined;
+		}
+	}
+	return undefined;
+}
+
+// Read a Worker secret or variable by its name
+function readSecret(env: Env, name: string | undefined): string | undefined {
+	const value = name ? (env as unknown as Record<string, unknown>)[name] : undefined;
+	return typeof value === 'string' && value ? value : undefined;
+}
+
+function decodeHex(value: string): Uint8Array {
+	const bytes = new Uint8Array(value.length / 2);
+	for (let i = 0; i < bytes.length; i++) {
+		bytes[i] = parseInt(value.substring(i * 2, i * 2 + 2), 16);
+	}
+	return bytes;
+}
+
+function encodeBase64(bytes: Uint8Array): string {
+	let binary = '';
+	// Encode in chunks so large bodies do not exceed the argument limit of fromCharCode
+	for (let i = 0; i < bytes.length; i += 0x8000) {
+		binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+	}
+	return btoa(binary);
+}
+
+function decodeBase64(value: string): Uint8Array {
+	const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/').replace(/\s/g, ''));
+	return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+async function serializeResponse(response: Response): Promise<StoredResponse> {
+	return {
+		status: response.status,
+		headers: [...response.headers],
+		body: encodeBase64(new Uint8Array(await response.arrayBuffer()))
+	};
+}
+
+function deserializeResponse(stored: StoredResponse): Response {
+	const body = stored.status === 204 || stored.status === 304 ? null : decodeBase64(stored.body);
+	return new Response(body, { status: stored.status, headers: stored.headers });
+}
+
+function concatBytes(...parts: Uint8Array[]): Uint8Array {
+	const result = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+	let offset = 0;
+	for (const part of parts) {
+		result.set(part, offset);
+		offset += part.length;
+	}
+	return result;
+}
+
+// Compare secrets without leaking their content through timing
+async function secretsEqual(a: string, b: string): Promise<boolean> {
+	const encoder = new TextEncoder();
+	const [hashA, hashB] = await Promise.all([
+		crypto.subtle.digest('SHA-256', encoder.encode(a)),
+		crypto.subtle.digest('SHA-256', encoder.encode(b))
+	]);
+	return crypto.subtle.timingSafeEqual(hashA, hashB);
+}
+
+function stripPrefix(value: string | null, prefix: string): string | null {
+	if (!value) {
+		return null;
+	}
+	return value.startsWith(prefix) ? value.slice(prefix.length) : null;
+}
+
+// Read signature, timestamp and payload prefix in the format of the configured provider
+function readSignedRequest(auth: HmacAuth, headers: Headers): SignedRequest {
+	switch (auth.provider) {
+		case 'github': {
+			const signature = stripPrefix(headers.get('x-hub-signature-256'), 'sha256=');
+			return { signatures: signature ? [signature] : [], timestamp: null, payloadPrefix: '' };
+		}
+		case 'stripe': {
+			const pairs = (headers.get('stripe-signature') || '').split(',').map((pair) => pair.trim().split('='));
+			const timestamp = pairs.find(([key]) => key === 't')?.[1] || null;
+			return {
+				signatures: pairs.filter(([key]) => key === 'v1').map(([, value]) => value),
+				timestamp,
+				payloadPrefix: `${timestamp}.`
+			};
+		}
+		case 'slack': {
+			const signature = stripPrefix(headers.get('x-slack-signature'), 'v0=');
+			const timestamp = headers.get('x-slack-request-timestamp');
+			return { signatures: signature ? [signature] : [], timestamp, payloadPrefix: `v0:${timestamp}:` };
+		}
+		default: {
+			const signature = stripPrefix(headers.get(auth.header || 'x-signature'), auth.prefix || '');
+			const timestamp = auth.timestampHeader ? headers.get(auth.timestampHeader) : null;
+			return {
+				signatures: signature ? [signature] : [],
+				timestamp,
+				payloadPrefix: timestamp ? `${timestamp}.` : ''
+			};
+		}
+	}
+}
+
+async function verifyApiKey(request: Request, auth: ApiKeyAuth, env: Env): Promise<string | null> {
+	const keys = (readSecret(env, auth.keys) || '').split(',').map((key) => key.trim()).filter(Boolean);
+	const provided = auth.query
+		? new URL(request.url).searchParams.get(auth.query)
+		: request.headers.get(auth.header || 'x-api-key');
+
+	if (!provided) {
+		return 'Missing API key';
+	}
+
+	for (const key of keys) {
+		if (await secretsEqual(provided, key)) {
+			return null;
+		}
+	}
+	return 'Invalid API key';
+}
+
+async function verifyHmacSignature(request: Request, auth: HmacAuth, env: Env): Promise<string | null> {
+	const secret = readSecret(env, auth.secret);
+	if (!secret) {
+		return 'Signature secret is not configured';
+	}
+
+	const { signatures, timestamp, payloadPrefix } = readSignedRequest(auth, request.headers);
+	if (signatures.length === 0) {
+		return 'Missing request signature';
+	}
+
+	const needsTimestamp = auth.provider === 'stripe' || auth.provider === 'slack' || !!auth.timestampHeader;
+	if (needsTimestamp) {
+		const tolerance = auth.tolerance ?? DEFAULT_SIGNATURE_TOLERANCE;
+		const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+		if (!timestamp || Number.isNaN(age) || age > tolerance) {
+			return 'Request signature timestamp is outside the allowed tolerance';
+		}
+	}
+
+	const algorithm = auth.provider && auth.provider !== 'generic' ? 'SHA-256' : auth.algorithm || 'SHA-256';
+	const encoder = new TextEncoder();
+	const key = await crypto.subtle.importKey(
+		'raw',
+		encoder.encode(secret),
+		{ name: 'HMAC', hash: algorithm },
+		false,
+		['verify']
+	);
+	const body = await readRequestBody(request);
+	if (!body) {
+		return 'Request body is too large to verify its signature';
+	}
+	const payload = concatBytes(encoder.encode(payloadPrefix), new Uint8Array(body));
+
+	for (const signature of signatures) {
+		const signatureBytes = auth.encoding === 'base64' ? decodeBase64(signature) : decodeHex(signature);
+		if (await crypto.subtle.verify('HMAC', key, signatureBytes, payload)) {
+			return null;
+		}
+	}
+	return 'Invalid request signature';
+}
+
+async function getJsonWebKey(jwksUrl: string, kid: string | undefined): Promise<JsonWebKey | undefined> {
+	const findKey = (keys: JsonWebKey[]) =>
+		keys.find((key) => !kid || (key as JsonWebKey & { kid?: string }).kid === kid);
+
+	const now = Date.now();
+	const cached = jwksCache.get(jwksUrl);
+	if (cached && cached.expires > now) {
+		const key = findKey(cached.keys);
+		// Key IDs come from unverified tokens, so unknown ones refresh the set at most once a minute
+		if (key || now - cached.refreshed < JWKS_REFRESH_INTERVAL) {
+			return key;
+		}
+	}
+
+	const keys = await fetchJsonWebKeys(jwksUrl);
+	return keys ? findKey(keys) : undefined;
+}
+
+// Concurrent lookups share one fetch; failures are not cached so the next request tries again
+function fetchJsonWebKeys(jwksUrl: string): Promise<JsonWebKey[] | null> {
+	let pending = jwksRequests.get(jwksUrl);
+	if (!pending) {
+		pending = (async () => {
+			try {
+				const response = await fetch(jwksUrl);
+				if (!response.ok) {
+					return null;
+				}
+				const { keys = [] } = await response.json<{ keys?: JsonWebKey[] }>();
+				const now = Date.now();
+				jwksCache.set(jwksUrl, { keys, expires: now + JWKS_CACHE_TTL, refreshed: now });
+				return keys;
+			} catch {
+				return null;
+			}
+		})();
+		jwksRequests.set(jwksUrl, pending);
+		pending.finally(() => jwksRequests.delete(jwksUrl));
+	}
+	return pending;
+}
+
+async function importJwtKey(alg: string, auth: JwtAuth, env: Env, kid?: string): Promise<{
+	key: CryptoKey;
+	algorithm: string | SubtleCryptoSignAlgorithm;
+} | null> {
+	const hash = `SHA-${alg.slice(2)}`;
+
+	if (alg.startsWith('HS')) {
+		const secret = readSecret(env, auth.secret);
+		if (!secret) {
+			return null;
+		}
+		const key = await crypto.subtle.importKey(
+			'raw',
+			new TextEncoder().encode(secret),
+			{ name: 'HMAC', hash },
+			false,
+			['verify']
+		);
+		return { key, algorithm: 'HMAC' };
+	}
+
+	const jwk = auth.jwksUrl ? await getJsonWebKey(auth.jwksUrl, kid) : undefined;
+	if (!jwk) {
+		return null;
+	}
+
+	if (alg.startsWith('RS') || alg.startsWith('PS')) {
+		const name = alg.startsWith('RS') ? 'RSASSA-PKCS1-v1_5' : 'RSA-PSS';
+		const key = await crypto.subtle.importKey('jwk', jwk, { name, hash }, false, ['verify']);
+		return { key, algorithm: name === 'RSA-PSS' ? { name, saltLength: Number(alg.slice(2)) / 8 } : name };
+	}
+
+	if (alg === 'ES256' || alg === 'ES384') {
+		const namedCurve = alg === 'ES256' ? 'P-256' : 'P-384';
+		const key = await crypto.subtle.importKey('jwk', jwk, { name: 'ECDSA', namedCurve }, false, ['verify']);
+		return { key, algorithm: { name: 'ECDSA', hash } };
+	}
+
+	return null;
+}
+
+async function verifyJwt(request: Request, auth: JwtAuth, env: Env): Promise<string | null> {
+	const token = stripPrefix(request.headers.get('authorization'), 'Bearer ');
+	if (!token) {
+		return 'Missing bearer token';
+	}
+
+	const parts = token.split('.');
+	if (parts.length !== 3) {
+		return 'Malformed bearer token';
+	}
+
+	let header: { alg?: string; kid?: string };
+	let claims: { exp?: number; nbf?: number; iss?: string; aud?: string | string[] };
+	try {
+		const decoder = new TextDecoder();
+		header = JSON.parse(decoder.decode(decodeBase64(parts[0])));
+		claims = JSON.parse(decoder.decode(decodeBase64(parts[1])));
+	} catch {
+		return 'Malformed bearer token';
+	}
+
+	const imported = header.alg ? await importJwtKey(header.alg, auth, env, header.kid) : null;
+	if (!imported) {
+		return 'Unsupported or unknown token signing key';
+	}
+
+	const valid = await crypto.subtle.verify(
+		imported.algorithm,
+		imported.key,
+		decodeBase64(parts[2]),
+		new TextEncoder().encode(`${parts[0]}.${parts[1]}`)
+	);
+	if (!valid) {
+		return 'Invalid token signature';
+	}
+
+	const now = Date.now() / 1000;
+	const tolerance = auth.tolerance ?? 0;
+	if (claims.exp !== undefined && now - tolerance >= claims.exp) {
+		return 'Token has expired';
+	}
+	if (claims.nbf !== undefined && now + tolerance < claims.nbf) {
+		return 'Token is not valid yet';
+	}
+	if (auth.issuer && claims.iss !== auth.issuer) {
+		return 'Token issuer is not accepted';
+	}
+	if (auth.audience) {
+		const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+		if (!audiences.includes(auth.audience)) {
+			return 'Token audience is not accepted';
+		}
+	}
+
+	return null;
+}
+
+// Define the verifier of each inbound authentication method
+const AUTH_VERIFIERS: {
+	[Type in AuthMethod['type']]: (
+		request: Request,
+		auth: Extract<AuthMethod, { type: Type }>,
+		env: Env
+	) => Promise<string | null>;
+} = {
+	'api-key': verifyApiKey,
+	'hmac': verifyHmacSignature,
+	'jwt': verifyJwt
+};
+
+// Define the worker interface that extends ExportedHandler
+interface WorkerHandler extends ExportedHandler<Env, DeliveryMessage> {
+	executeWebhookStrategy(
+		webhookPath: string,
+		request: Request,
+		headers: Headers,
+		env: Env,
+		option: string
+	): Promise<Response>;
+	validateEnvironment(env: Env): boolean;
+	selectUpstreams(settings: RouteSettings, env: Env): Upstream[];
+	getRouteSettings(workflowId: string, env: Env): RouteSettings;
+	resolveRoute(slug: string, env: Env): Promise<RouteAlias | null>;
+	resolveTarget(parsedUrl: ParsedUrl, env: Env): Promise<ResolvedTarget | null>;
+	authenticateRequest(request: Request, settings: RouteSettings, env: Env): Promise<string | null>;
+	bufferRequestBody(request: Request, settings: RouteSettings): Promise<boolean>;
+	validatePayload(request: Request, policy: ValidationPolicy): Promise<PayloadRejection | null>;
+	transformRequest(
+		request: Request,
+		webhookPath: string,
+		policy: NonNullable<TransformPolicy['request']>
+	): Promise<{ request: Request; webhookPath: string }>;
+	transformResponse(
+		request: Request,
+		response: Response,
+		policy: NonNullable<TransformPolicy['response']>
+	): Promise<Response>;
+	isSuccessfulResponse(response: Response, criteria?: SuccessCriteria): boolean;
+	requestWithRetry(
+		path: string,
+		request: Request,
+		headers: Headers,
+		env: Env,
+		settings: RouteSettings
+	): Promise<Response>;
+	getRetryDelay(policy: RetryPolicy, attempt: number, response?: Response): number | null;
+	parseRequestUrl(requestUrl: string): ParsedUrl;
+	prepareHeaders(originalHeaders: Headers, baseUrl: string, options?: HeaderOptions): Headers;
+	filterResponseHeaders(response: Response, settings: RouteSettings): Response;
+	proxyRequest(request: Request, env: Env, ctx: ExecutionContext, requestId: string): Promise<Response>;
+	forwardRequest(
+		request: Request,
+		target: ResolvedTarget,
+		headers: Headers,
+		env: Env,
+		ctx: ExecutionContext,
+		requestId: string
+	): Promise<Response>;
+	fanOutRequest(
+		request: Request,
+		fanOut: NonNullable<ResolvedTarget['fanOut']>,
+		headers: Headers,
+		env: Env,
+		ctx: ExecutionContext
+	): Promise<Response>;
+	deliverFanOutTarget(
+		request: Request,
+		target: ResolvedFanOutTarget,
+		headers: Headers,
+		env: Env
+	): Promise<{ request: Request; response: Response; delivered: boolean }>;
+	getIdempotencyKey(request: Request, policy: IdempotencyPolicy): Promise<string | null>;
+	deduplicateRequest(
+		request: Request,
+		target: ResolvedTarget,
+		headers: Headers,
+		env: Env,
+		ctx: ExecutionContext,
+		requestId: string
+	): Promise<Response>;
+	claimIdempotencyKey(key: string, policy: IdempotencyPolicy, env: Env): Promise<IdempotencyClaim>;
+	settleIdempotencyKey(key: string, response: StoredResponse | null, policy: IdempotencyPolicy, env: Env): Promise<void>;
+	traceRequest(request: Request, response: Response, requestId: string, startedAt: number): Response;
+	handleRequest(
+		webhookPath: string,
+		request: Request,
+		headers: Headers,
+		env: Env,
+		isTestHook: boolean
+	): Promise<Response>;
+	makeRequest(
+		path: string,
+		originalRequest: Request,
+		headers: Headers,
+		env: Env
+	): Promise<Response>;
+	requestUpstream(upstream: Upstream, path: string, originalRequest: Request, headers: Headers): Promise<Response>;
+	createNotCachedResponse(response: Response): Response;
+	createPreflightResponse(request: Request, policy: CorsPolicy, requestId: string): Response;
+	applyCorsHeaders(request: Request, response: Response, policy: CorsPolicy): Response;
+	applyCachePolicy(response: Response, settings: RouteSettings): Response;
+	storeCachedResponse(cacheKey: Request, response: Response, policy: CachePolicy, ctx: ExecutionContext): Response;
+	enqueueDelivery(request: Request, target: ResolvedTarget, env: Env, requestId: string): Promise<Response>;
+	getDeliveryStatus(request: Request, deliveryId: string, env: Env, requestId: string): Promise<Response>;
+	deliverMessage(message: Message<DeliveryMessage>, env: Env): Promise<void>;
+	runSchedule(name: string, entry: ScheduleEntry, time: number, env: Env): Promise<ScheduleRun | null>;
+	checkRateLimit(
+		request: Request,
+		scope: string,
+		limit: { limit: number; window: number },
+		env: Env
+	): Promise<RateLimitResult | null>;
+	createRateLimitResponse(request: Request, result: RateLimitResult, requestId: string): Response;
+	checkCircuit(key: string, policy: CircuitBreakerPolicy, env: Env): Promise<CircuitStatus | null>;
+	recordCircuitResult(
+		key: string,
+		status: CircuitStatus,
+		success: boolean,
+		policy: CircuitBreakerPolicy,
+		env: Env
+	): Promise<void>;
+	getMaintenanceState(workflowId: string, settings: RouteSettings, env: Env): Promise<MaintenanceState | null>;
+	captureRequest(request: Request, webhookPath: string, option: string, env: Env): Promise<string | null>;
+	replayHeldRequests(workflowId: string, env: Env): Promise<number>;
+	createCannedResponse(request: Request, canned: CannedResponse, code: string, message: string): Response;
+	recordRequestStats(workflowId: string, request: Request, response: Response, startedAt: number, env: Env): Promise<void>;
+	handleAdminRequest(request: Request, env: Env, requestId: string): Promise<Response>;
+	handleRouteAdmin(request: Request, slug: string | undefined, env: Env, requestId: string): Promise<Response>;
+	handleMaintenanceAdmin(
+		request: Request,
+		workflowId: string | undefined,
+		action: string | undefined,
+		env: Env,
+		requestId: string
+	): Promise<Response>;
+	handleCaptureAdmin(
+		request: Request,
+		workflowId: string | undefined,
+		captureId: string | undefined,
+		action: string | undefined,
+		env: Env,
+		requestId: string
+	): Promise<Response>;
+	recordCapture(request: Request, response: Response, target: ResolvedTarget, env: Env): Promise<void>;
+	replayCapture(request: Request, capture: CapturedRequest, options: ReplayOptions, env: Env, requestId: string): Promise<Response>;
+	authorizeAdmin(request: Request, env: Env): Promise<boolean>;
+	createErrorResponse(
+		request: Request,
+		status: number,
+		code: string,
+		message: string,
+		details?: ErrorDetails
+	): Response;
+	createFailureResponse(
+		request: Request,
+		error: unknown,
+		settings: RouteSettings,
+		requestId: string
+	): Response;
+}
+
+export default {
+	async fetch(request: Request, env: Env, ctx: ExecutionContext): Promise<Response> {
+		const requestId = request.headers.get('cf-ray') || crypto.randomUUID();
+		const startedAt = Date.now();
+
+		let proxied: Response;
+		try {
+			proxied = await this.proxyRequest(request, env, ctx, requestId);
+		} catch (error) {
+			// Malformed settings and failing bindings are answered like any other proxy error instead of an exception
+			console.error(JSON.stringify({ requestId, error: error instanceof Error ? error.message : String(error) }));
+			proxied = this.createErrorResponse(
+				request,
+				500,
+				ERROR_CODES.CONFIGURATION_ERROR,
+				'The proxy could not handle the request',
+				{ requestId }
+			);
+		}
+		const response = this.traceRequest(request, proxied, requestId, startedAt);
+
+		const context = requestContexts.get(request);
+		if (env.REQUEST_STATS && context?.workflowId) {
+			ctx.waitUntil(this.recordRequestStats(context.workflowId, request, response, startedAt, env));
+		}
+		return context?.settings.cors ? this.applyCorsHeaders(request, response, context.settings.cors) : response;
+	},
+
+	async proxyRequest(request: Request, env: Env, ctx: ExecutionContext, requestId: string): Promise<Response> {
+		if (!this.validateEnvironment(env)) {
+			return this.createErrorResponse(
+				request,
+				500,
+				ERROR_CODES.CONFIGURATION_ERROR,
+				env.N8N_UPSTREAMS
+					? 'N8N_UPSTREAMS is invalid or a route refers to an unknown upstream'
+					: env.N8N_BASE_URL
+						? 'N8N_BASE_URL, PROXY_SETTINGS, WORKFLOW_SETTINGS or ROUTES is invalid'
+						: 'N8N_BASE_URL environment variable is not set',
+				{ requestId }
+			);
+		}
+
+		const parsedUrl = this.parseRequestUrl(request.url);
+		if (parsedUrl.option === ADMIN_PREFIX) {
+			return await this.handleAdminRequest(request, env, requestId);
+		}
+		if (parsedUrl.option === DELIVERY_PREFIX) {
+			return await this.getDeliveryStatus(request, parsedUrl.workflowId, env, requestId);
+		}
+
+		if (!parsedUrl.workflowId) {
+			return this.createErrorResponse(
+				request,
+				400,
+				ERROR_CODES.MISSING_WORKFLOW_ID,
+				'No workflow ID provided in the URL',
+				{ requestId }
+			);
+		}
+
+		const target = await this.resolveTarget(parsedUrl, env);
+		if (!target) {
+			return this.createErrorResponse(
+				request,
+				404,
+				ERROR_CODES.ROUTE_NOT_FOUND,
+				`No route is configured for '${parsedUrl.workflowId}'`,
+				{ requestId }
+			);
+		}
+
+		const { option, settings, methods } = target;
+		let { webhookPath } = target;
+		requestContexts.set(request, {
+			settings,
+			deadline: settings.timeout?.total ? Date.now() + settings.timeout.total : undefined,
+			workflowId: target.workflowId,
+			option,
+			trace: [],
+			requestId
+		});
+
+		// Preflights are answered by the proxy so they never start an execution
+		if (settings.cors && isPreflightRequest(request)) {
+			return this.createPreflightResponse(request, settings.cors, requestId);
+		}
+
+		if (methods && !methods.includes(request.method)) {
+			const response = this.createErrorResponse(
+				request,
+				405,
+				ERROR_CODES.METHOD_NOT_ALLOWED,
+				`Method ${request.method} is not allowed for '${parsedUrl.workflowId}'`,
+				{ requestId }
+			);
+			response.headers.set('Allow', methods.join(', '));
+			return response;
+		}
+		const upstreams = getRouteUpstreams(settings, env);
+		if (upstreams.length === 0) {
+			return this.createErrorResponse(
+				request,
+				500,
+				ERROR_CODES.CONFIGURATION_ERROR,
+				`No n8n upstream is configured for '${parsedUrl.workflowId}'`,
+				{ requestId }
+			);
+		}
+
+		if (!(await this.bufferRequestBody(request, settings))) {
+			return this.createErrorResponse(
+				request,
+				413,
+				ERROR_CODES.PAYLOAD_TOO_LARGE,
+				`Request body exceeds the limit of ${settings.maxBodySize ?? DEFAULT_MAX_BODY_SIZE} bytes`,
+				{ requestId }
+			);
+		}
+
+		const authFailure = await this.authenticateRequest(request, settings, env);
+		if (authFailure) {
+			return this.createErrorResponse(request, 401, ERROR_CODES.UNAUTHORIZED, authFailure, { requestId });
+		}
+
+		if (settings.rateLimit) {
+			const rateLimit = await this.checkRateLimit(request, target.workflowId, settings.rateLimit, env);
+			if (rateLimit && !rateLimit.allowed) {
+				return this.createRateLimitResponse(request, rateLimit, requestId);
+			}
+		}
+
+		if (settings.transform?.request) {
+			try {
+				({ request, webhookPath } = await this.transformRequest(request, webhookPath, settings.transform.request));
+			} catch (error) {
+				return this.createErrorResponse(
+					request,
+					400,
+					ERROR_CODES.BAD_REQUEST,
+					`Request could not be transformed: ${error instanceof Error ? error.message : String(error)}`,
+					{ requestId }
+				);
+			}
+		}
+
+		if (settings.validation) {
+			const rejection = await this.validatePayload(request, settings.validation);
+			if (rejection) {
+				return this.createErrorResponse(
+					request,
+					rejection.status,
+					rejection.code,
+					rejection.message,
+					{ requestId, ...(rejection.errors ? { errors: rejection.errors } : {}) }
+				);
+			}
+		}
+
+		// The host is set again for the upstream each request is sent to
+		const headers = this.prepareHeaders(request.headers, upstreams[0].url, {
+			settings,
+			requestUrl: request.url,
+			env
+		});
+
+		const response = settings.idempotency
+			? await this.deduplicateRequest(request, { ...target, webhookPath }, headers, env, ctx, requestId)
+			: await this.forwardRequest(request, { ...target, webhookPath }, headers, env, ctx, requestId);
+
+		if (settings.capture && settings.capture.enabled !== false && env.PROXY_DATA) {
+			ctx.waitUntil(this.recordCapture(request, response.clone(), { ...target, webhookPath }, env));
+		}
+		return response;
+	},
+
+	async forwardRequest(
+		request: Request,
+		target: ResolvedTarget,
+		headers: Headers,
+		env: Env,
+		ctx: ExecutionContext,
+		requestId: string
+	): Promise<Response> {
+		const { webhookPath, option, settings } = target;
+		if (option === OPTION_TYPES.ASYNC) {
+			return await this.enqueueDelivery(request, target, env, requestId);
+		}
+
+		const cacheKey = isCacheable(request, settings.cache)
+			? getCacheKey(new URL(request.url), request.method, settings.cache)
+			: null;
+		if (cacheKey) {
+			const cached = await caches.default.match(cacheKey);
+			if (cached) {
+				const response = this.createNotCachedResponse(cached);
+				response.headers.set('X-Proxy-Cache', 'HIT');
+				return response;
+			}
+		}
+
+		let response: Response;
+		try {
+			response = this.filterResponseHeaders(
+				target.fanOut
+					? await this.fanOutRequest(request, target.fanOut, headers, env, ctx)
+					: await this.executeWebhookStrategy(webhookPath, request, headers, env, option),
+				settings
+			);
+		} catch (error) {
+			const failure = this.createFailureResponse(request, error, settings, requestId);
+			const context = requestContexts.get(request);
+			if (context) {
+				context.synthetic = true;
+			}
+			return settings.transform?.response
+				? this.createNotCachedResponse(await this.transformResponse(request, failure, settings.transform.response))
+				: failure;
+		}
+
+		if (settings.transform?.response) {
+			response = await this.transformResponse(request, response, settings.transform.response);
+		}
+
+		// Only complete successful answers are stored, so errors are never served from the cache
+		if (cacheKey && settings.cache && response.status === 200) {
+			return this.createNotCachedResponse(this.storeCachedResponse(cacheKey, response, settings.cache, ctx));
+		}
+		return this.applyCachePolicy(response, settings);
+	},
+
+	async fanOutRequest(
+		request: Request,
+		fanOut: NonNullable<ResolvedTarget['fanOut']>,
+		headers: Headers,
+		env: Env,
+		ctx: ExecutionContext
+	): Promise<Response> {
+		const context = requestContexts.get(request);
+		const requestId = context?.requestId || crypto.randomUUID();
+		// Every target needs its own copy of the body, so streamed bodies cannot be fanned out
+		if (context?.replayable === false) {
+			return this.createErrorResponse(
+				request,
+				413,
+				ERROR_CODES.PAYLOAD_TOO_LARGE,
+				`Request body exceeds the limit of ${context.settings.maxBodySize ?? DEFAULT_MAX_BODY_SIZE} bytes`,
+				{ requestId }
+			);
+		}
+
+		if (fanOut.respond === FAN_OUT_MODES.AGGREGATE) {
+			const deliveries = await Promise.all(
+				fanOut.targets.map((target) => this.deliverFanOutTarget(request, target, headers, env))
+			);
+			context?.trace?.push(...deliveries.flatMap((delivery) => requestContexts.get(delivery.request)?.trace || []));
+
+			const results = await Promise.all(deliveries.map(async ({ response, delivered }, index) => {
+				const text = await response.text();
+				let body: unknown = text;
+				try {
+					body = JSON.parse(text);
+				} catch {
+					// Plain text answers are reported as they are
+				}
+				return { workflowId: fanOut.targets[index].workflowId, status: response.status, delivered, body };
+			}));
+
+			const delivered = results.filter((result) => result.delivered).length;
+			const status = delivered === results.length ? 200 : delivered === 0 ? 502 : 207;
+			return Response.json({ results }, { status });
+		}
+
+		// The caller only waits for the primary; the other deliveries finish in the background and are logged on their own
+		const primary = fanOut.targets.find((target) => target.primary) || fanOut.targets[0];
+		const startedAt = Date.now();
+		for (const target of fanOut.targets.filter((candidate) => candidate !== primary)) {
+			ctx.waitUntil(this.deliverFanOutTarget(request, target, headers, env).then(async (delivery) => {
+				const traced = this.traceRequest(delivery.request, delivery.response, requestId, startedAt);
+				await traced.body?.cancel();
+			}));
+		}
+		return await this.executeWebhookStrategy(primary.webhookPath, request, headers, env, primary.option);
+	},
+
+	async deliverFanOutTarget(
+		request: Request,
+		target: ResolvedFanOutTarget,
+		headers: Headers,
+		env: Env
+	): Promise<{ request: Request; response: Response; delivered: boolean }> {
+		// Each delivery gets its own request so its attempts are traced separately
+		const context = requestContexts.get(request);
+		const delivery = new Request(request.url, { method: request.method, headers: request.headers });
+		const settings = context?.settings ?? this.getRouteSettings(target.workflowId, env);
+		if (context) {
+			requestContexts.set(delivery, { ...context, workflowId: target.workflowId, option: target.option, trace: [] });
+		}
+
+		try {
+			const response = await this.executeWebhookStrategy(target.webhookPath, delivery, headers, env, target.option);
+			return { request: delivery, response, delivered: true };
+		} catch (error) {
+			const response = this.createFailureResponse(delivery, error, settings, context?.requestId || crypto.randomUUID());
+			return { request: delivery, response, delivered: false };
+		}
+	},
+
+	async getIdempotencyKey(request: Request, policy: IdempotencyPolicy): Promise<string | null> {
+		if (policy.path) {
+			const body = await readRequestBody(request);
+			let payload: unknown;
+			try {
+				payload = body ? await parseBody(body, request.headers.get('content-type') || '') : undefined;
+			} catch {
+				return null;
+			}
+			const value = readPath(payload, policy.path);
+			return typeof value === 'string' || typeof value === 'number' ? String(value) : null;
+		}
+		return request.headers.get(policy.header || DEFAULT_IDEMPOTENCY_HEADER) || null;
+	},
+
+	async deduplicateRequest(
+		request: Request,
+		target: ResolvedTarget,
+		headers: Headers,
+		env: Env,
+		ctx: ExecutionContext,
+		requestId: string
+	): Promise<Response> {
+		const policy = target.settings.idempotency || {};
+		const idempotencyKey = await this.getIdempotencyKey(request, policy);
+		// Requests without a key are not deduplicated
+		if (!idempotencyKey || (!env.IDEMPOTENCY && !env.PROXY_DATA)) {
+			return await this.forwardRequest(request, target, headers, env, ctx, requestId);
+		}
+
+		// Keys are scoped to the authenticated caller, so one caller cannot read the responses of another
+		const identity = requestContexts.get(request)?.identity;
+		const key = `${target.workflowId}:${identity ? `${identity}:` : ''}${idempotencyKey}`;
+		const claim = await this.claimIdempotencyKey(key, policy, env);
+		if (claim.state === 'completed') {
+			const response = deserializeResponse(claim.response);
+			response.headers.set('X-Proxy-Idempotent-Replay', 'true');
+			return response;
+		}
+		if (claim.state === 'pending') {
+			const response = this.createErrorResponse(
+				request,
+				409,
+				ERROR_CODES.IDEMPOTENCY_CONFLICT,
+				`A request with the idempotency key '${idempotencyKey}' is still in progress`,
+				{ requestId }
+			);
+			response.headers.set('Retry-After', '1');
+			return response;
+		}
+
+		let response: Response;
+		try {
+			response = await this.forwardRequest(request, target, headers, env, ctx, requestId);
+		} catch (error) {
+			await this.settleIdempotencyKey(key, null, policy, env);
+			throw error;
+		}
+
+		// Only answers of the workflow itself are kept; failures, fallbacks and maintenance responses free the key so
+		// the sender's retry runs the workflow again. A queued async delivery is kept too, so it is not queued twice
+		const accepted = target.option === OPTION_TYPES.ASYNC && response.status === 202;
+		if (
+			requestContexts.get(request)?.synthetic ||
+			!(accepted || this.isSuccessfulResponse(response, target.settings.successCriteria))
+		) {
+			await this.settleIdempotencyKey(key, null, policy, env);
+			return response;
+		}
+		const stored = await serializeResponse(response);
+		await this.settleIdempotencyKey(key, stored, policy, env);
+		return deserializeResponse(stored);
+	},
+
+	async claimIdempotencyKey(key: string, policy: IdempotencyPolicy, env: Env): Promise<IdempotencyClaim> {
+		const wait = policy.wait ?? DEFAULT_IDEMPOTENCY_WAIT;
+		if (env.IDEMPOTENCY) {
+			const stub = env.IDEMPOTENCY.get(env.IDEMPOTENCY.idFromName(key));
+			return await stub.claim(wait);
+		}
+
+		// KV has no locks, so concurrent duplicates are only caught once the pending marker is visible
+		const storage = env.PROXY_DATA!;
+		const waitUntil = Date.now() + wait;
+		while (true) {
+			const entry = await storage.get<IdempotencyEntry>(`idempotency:${key}`, 'json');
+			if (entry?.state === 'completed') {
+				return { state: 'completed', response: entry.response };
+			}
+			if (!entry || entry.expiresAt <= Date.now()) {
+				const pending: IdempotencyEntry = { state: 'pending', expiresAt: Date.now() + IDEMPOTENCY_LOCK_TTL * 1000 };
+				await storage.put(`idempotency:${key}`, JSON.stringify(pending), { expirationTtl: IDEMPOTENCY_LOCK_TTL });
+				return { state: 'claimed' };
+			}
+			if (Date.now() >= waitUntil) {
+				return { state: 'pending' };
+			}
+			await sleep(Math.min(IDEMPOTENCY_POLL_INTERVAL, waitUntil - Date.now()));
+		}
+	},
+
+	async settleIdempotencyKey(key: string, response: StoredResponse | null, policy: IdempotencyPolicy, env: Env): Promise<void> {
+		const ttl = policy.ttl ?? DEFAULT_IDEMPOTENCY_TTL;
+		if (env.IDEMPOTENCY) {
+			const stub = env.IDEMPOTENCY.get(env.IDEMPOTENCY.idFromName(key));
+			await stub.settle(response, ttl);
+			return;
+		}
+
+		if (!response) {
+			await env.PROXY_DATA!.delete(`idempotency:${key}`);
+			return;
+		}
+		const entry: IdempotencyEntry = { state: 'completed', expiresAt: Date.now() + ttl * 1000, response };
+		// KV does not accept expirations below a minute
+		await env.PROXY_DATA!.put(`idempotency:${key}`, JSON.stringify(entry), { expirationTtl: Math.max(ttl, 60) });
+	},
+
+	async executeWebhookStrategy(
+		webhookPath: string,
+		request: Request,
+		headers: Headers,
+		env: Env,
+		option: string
+	): Promise<Response> {
+		const strategy = WEBHOOK_STRATEGIES[option] || WEBHOOK_STRATEGIES[OPTION_TYPES.PROD_ONLY];
+		const attempts: AttemptRecord[] = [];
+
+		const [workflowId] = webhookPath.split('/');
+		const context = requestContexts.get(request);
+		const maintenance = await this.getMaintenanceState(workflowId, context?.settings ?? this.getRouteSettings(workflowId, env), env);
+		if (maintenance) {
+			const message = `The workflow '${workflowId}' is under maintenance`;
+			// Queued deliveries wait for the maintenance to end instead of being answered
+			if (context?.queued) {
+				throw new Error(message);
+			}
+
+			const deliveryId = maintenance.capture
+				? await this.captureRequest(request, webhookPath, option, env)
+				: null;
+			const response = this.createCannedResponse(request, maintenance, ERROR_CODES.MAINTENANCE, message);
+			if (context) {
+				context.synthetic = true;
+			}
+			if (deliveryId) {
+				response.headers.set('X-Proxy-Delivery-Id', deliveryId);
+			}
+			return response;
+		}
+
+		try {
+			return await this.handleRequest(webhookPath, request, headers, env, strategy.primary);
+		} catch (error) {
+			attempts.push(describeAttempt(error, strategy.primary));
+			// A streamed body was already sent to the primary endpoint and cannot be replayed
+			if (strategy.fallback === null || requestContexts.get(request)?.replayable === false) {
+				throw new StrategyError(error, attempts);
+			}
+		}
+
+		try {
+			return await this.handleRequest(webhookPath, request, headers, env, strategy.fallback);
+		} catch (error) {
+			attempts.push(describeAttempt(error, strategy.fallback));
+			throw new StrategyError(error, attempts);
+		}
+	},
+
+	validateEnvironment(env: Env): boolean {
+		try {
+			const upstreams = getUpstreams(env);
+			if (upstreams.length === 0 || !upstreams.every((upstream) => URL.canParse(upstream.url))) {
+				return false;
+			}
+
+			// Routes must only refer to known upstreams
+			const names = upstreams.map((upstream) => upstream.name);
+			const settings = [
+				parseJsonSetting<RouteSettings>(env.PROXY_SETTINGS) || {},
+				...Object.values(parseJsonSetting<Record<string, RouteSettings>>(env.WORKFLOW_SETTINGS) || {}),
+				...Object.values(parseJsonSetting<Record<string, RouteAlias>>(env.ROUTES) || {})
+			];
+			return settings.every((routeSettings) => (routeSettings.upstreams || []).every((name) => names.includes(name)));
+		} catch {
+			// Settings that are not valid JSON
+			return false;
+		}
+	},
+
+	selectUpstreams(settings: RouteSettings, env: Env): Upstream[] {
+		const upstreams = getRouteUpstreams(settings, env);
+		const healthy = upstreams.filter(isUpstreamHealthy);
+
+		// The first upstream is picked by weight among the healthy ones, the others follow in their configured order
+		const weighted = healthy.filter((upstream) => upstream.weight > 0);
+		const totalWeight = weighted.reduce((sum, upstream) => sum + upstream.weight, 0);
+		let pick = Math.random() * totalWeight;
+		const first = weighted.find((upstream) => (pick -= upstream.weight) < 0) || healthy[0];
+
+		// Upstreams marked as dead are still tried as a last resort
+		return [
+			...(first ? [first] : []),
+			...healthy.filter((upstream) => upstream !== first),
+			...upstreams.filter((upstream) => !healthy.includes(upstream))
+		];
+	},
+
+	getRouteSettings(workflowId: string, env: Env): RouteSettings {
+		const defaults = parseJsonSetting<RouteSettings>(env.PROXY_SETTINGS) || {};
+		const workflows = parseJsonSetting<Record<string, RouteSettings>>(env.WORKFLOW_SETTINGS) || {};
+
+		return { ...defaults, ...workflows[workflowId] };
+	},
+
+	isSuccessfulResponse(response: Response, criteria: SuccessCriteria = {}): boolean {
+		const { statuses, ranges } = criteria;
+		if (!statuses && !ranges) {
+			return DEFAULT_SUCCESS_STATUSES.includes(response.status);
+		}
+
+		if (statuses?.includes(response.status)) {
+			return true;
+		}
+
+		return (ranges || []).some((range) => {
+			const [min, max] = parseStatusRange(range);
+			return response.status >= min && response.status <= max;
+		});
+	},
+
+	async resolveRoute(slug: string, env: Env): Promise<RouteAlias | null> {
+		// Routes stored in KV take precedence over the ones deployed with the worker
+		if (env.PROXY_CONFIG) {
+			const route = await env.PROXY_CONFIG.get<RouteAlias>(`route:${slug}`, 'json');
+			if (route) {
+				return route;
+			}
+		}
+
+		const routes = parseJsonSetting<Record<string, RouteAlias>>(env.ROUTES) || {};
+		return Object.prototype.hasOwnProperty.call(routes, slug) ? routes[slug] : null;
+	},
+
+	async authenticateRequest(request: Request, settings: RouteSettings, env: Env): Promise<string | null> {
+		if (!settings.auth) {
+			return null;
+		}
+
+		// The request is accepted as soon as one of the configured methods succeeds
+		const methods = Array.isArray(settings.auth) ? settings.auth : [settings.auth];
+		let failure = 'Request could not be authenticated';
+		let authenticated: AuthMethod | null = null;
+		for (const method of methods) {
+			const verify = AUTH_VERIFIERS[method.type] as (
+				request: Request,
+				auth: AuthMethod,
+				env: Env
+			) => Promise<string | null>;
+			const result = verify ? await verify(request, method, env) : `Unknown authentication type '${method.type}'`;
+			if (result === null) {
+				authenticated = method;
+				break;
+			}
+			failure = result;
+		}
+
+		if (!authenticated) {
+			return failure;
+		}
+
+		const context = requestContexts.get(request);
+		if (context) {
+			context.identity = await getAuthIdentity(request, authenticated);
+		}
+
+		// API keys passed in the query are meant for the proxy and are not forwarded to n8n
+		const url = new URL(request.url);
+		for (const name of getAuthQueryParams(settings)) {
+			url.searchParams.delete(name);
+		}
+		if (context && url.search !== new URL(request.url).search) {
+			context.search = url.search;
+		}
+		return null;
+	},
+
+	async bufferRequestBody(request: Request, settings: RouteSettings): Promise<boolean> {
+		const context = requestContexts.get(request);
+		if (!context) {
+			return true;
+		}
+
+		context.replayable = true;
+		if (!request.body) {
+			context.body = null;
+			return true;
+		}
+
+		const maxBodySize = settings.maxBodySize ?? DEFAULT_MAX_BODY_SIZE;
+		const contentLength = request.headers.get('content-length');
+		if (contentLength !== null && Number(contentLength) > maxBodySize) {
+			return false;
+		}
+
+		const reader = request.body.getReader();
+		const chunks: Uint8Array[] = [];
+		let size = 0;
+		while (true) {
+			const { done, value } = await reader.read();
+			if (done) {
+				break;
+			}
+
+			chunks.push(value);
+			size += value.byteLength;
+			if (size > maxBodySize) {
+				// Bodies of unknown length are streamed to a single endpoint instead of being truncated
+				context.body = resumeStream(chunks, reader);
+				context.replayable = false;
+				return true;
+			}
+		}
+
+		context.body = concatBytes(...chunks).buffer as ArrayBuffer;
+		return true;
+	},
+
+	async validatePayload(request: Request, policy: ValidationPolicy): Promise<PayloadRejection | null> {
+		// Requests without a body have nothing to validate
+		if (request.method === 'GET' || request.method === 'HEAD') {
+			return null;
+		}
+
+		const contentType = request.headers.get('content-type') || '';
+		const mediaType = contentType.split(';')[0].trim().toLowerCase();
+		const allowed = policy.contentTypes || (policy.schema ? VALIDATED_CONTENT_TYPES : null);
+		if (allowed && !matchesHeader(mediaType, allowed)) {
+			return {
+				status: 415,
+				code: ERROR_CODES.UNSUPPORTED_MEDIA_TYPE,
+				message: `Content type '${mediaType || 'none'}' is not accepted, expected ${allowed.join(', ')}`
+			};
+		}
+
+		const body = await readRequestBody(request);
+		const maxSize = policy.maxSize ?? Infinity;
+		if ((body === null && request.body) || (body && body.byteLength > maxSize)) {
+			return {
+				status: 413,
+				code: ERROR_CODES.PAYLOAD_TOO_LARGE,
+				message: policy.maxSize !== undefined
+					? `Request body exceeds the limit of ${policy.maxSize} bytes`
+					: 'Request body is too large to be validated'
+			};
+		}
+		if (!policy.schema) {
+			return null;
+		}
+		if (!body || body.byteLength === 0) {
+			return { status: 400, code: ERROR_CODES.BAD_REQUEST, message: 'A request body is required' };
+		}
+
+		let payload: unknown;
+		try {
+			payload = await parseBody(body, contentType);
+		} catch {
+			return { status: 400, code: ERROR_CODES.BAD_REQUEST, message: `Request body is not valid ${mediaType}` };
+		}
+		if (payload === undefined) {
+			return {
+				status: 415,
+				code: ERROR_CODES.UNSUPPORTED_MEDIA_TYPE,
+				message: `Content type '${mediaType || 'none'}' cannot be validated against a schema`
+			};
+		}
+
+		let errors: string[];
+		try {
+			errors = validateJsonSchema(payload, policy.schema);
+		} catch {
+			// Schemas set through variables are not checked before they are used
+			return { status: 500, code: ERROR_CODES.CONFIGURATION_ERROR, message: 'The validation schema of this route is invalid' };
+		}
+		return errors.length > 0
+			? { status: 422, code: ERROR_CODES.INVALID_PAYLOAD, message: 'Request body does not match the schema', errors }
+			: null;
+	},
+
+	async transformRequest(
+		request: Request,
+		webhookPath: string,
+		policy: NonNullable<TransformPolicy['request']>
+	): Promise<{ request: Request; webhookPath: string }> {
+		const context = requestContexts.get(request);
+		// Start from the query that is forwarded, without the API keys meant for the proxy
+		const url = new URL(request.url);
+		url.search = context?.search ?? url.search;
+		for (const name of getAuthQueryParams(context?.settings || {})) {
+			url.searchParams.delete(name);
+		}
+		const headers = new Headers(request.headers);
+		const contentType = request.headers.get('content-type') || '';
+
+		let body: ArrayBuffer | ReadableStream<Uint8Array> | null = context?.body ?? null;
+		let payload: unknown;
+		if (body instanceof ArrayBuffer && body.byteLength > 0) {
+			try {
+				payload = await parseBody(body, contentType);
+			} catch (error) {
+				// Unparseable bodies are only a problem when they have to be converted
+				if (policy.body) {
+					throw error;
+				}
+			}
+		}
+
+		const variables = {
+			workflowId: context?.workflowId,
+			path: webhookPath,
+			method: request.method,
+			query: Object.fromEntries(url.searchParams),
+			headers: Object.fromEntries(request.headers),
+			body: payload
+		};
+
+		if (policy.body) {
+			if (!(body instanceof ArrayBuffer)) {
+				throw new Error('the body is too large to be transformed');
+			}
+			if (policy.body.convert === 'json' && payload === undefined && body.byteLength > 0) {
+				throw new Error(`'${contentType.split(';')[0] || 'none'}' bodies cannot be converted to JSON`);
+			}
+			if (policy.body.unwrap) {
+				payload = readPath(payload, policy.body.unwrap);
+			}
+			if (policy.body.template !== undefined) {
+				payload = renderTemplate(policy.body.template, { ...variables, body: payload });
+			}
+			body = new TextEncoder().encode(JSON.stringify(payload ?? null)).buffer as ArrayBuffer;
+			headers.set('content-type', 'application/json');
+			headers.delete('content-length');
+		}
+
+		applyFieldChanges(url.searchParams, policy.query, variables);
+		applyFieldChanges(headers, policy.headers, variables);
+
+		const method = policy.method?.toUpperCase() || request.method;
+		const hasBody = method !== 'GET' && method !== 'HEAD' && body !== null;
+		const path = policy.path ? String(renderTemplate(policy.path, variables)).replace(/^\/+/, '') : webhookPath;
+		if (hasDotSegments(path)) {
+			throw new Error(`the path '${path}' is not allowed`);
+		}
+		const transformed = new Request(url.toString(), { method, headers, body: hasBody ? body : null });
+
+		if (context) {
+			// A streamed body now belongs to the new request and is read from there
+			context.body = body instanceof ArrayBuffer || !hasBody ? (hasBody ? body : null) : transformed.body;
+			context.search = url.search;
+			requestContexts.set(transformed, context);
+		}
+		return { request: transformed, webhookPath: path };
+	},
+
+	async transformResponse(
+		request: Request,
+		response: Response,
+		policy: NonNullable<TransformPolicy['response']>
+	): Promise<Response> {
+		let status = response.status;
+		if (typeof policy.status === 'number') {
+			status = policy.status;
+		} else if (policy.status) {
+			status = policy.status[String(status)] ?? policy.status[`${Math.floor(status / 100)}xx`] ?? status;
+		}
+
+		const headers = new Headers(response.headers);
+		let body: BodyInit | null = response.body;
+		let variables: Record<string, unknown> = {};
+		if (policy.body !== undefined || policy.headers?.set) {
+			const context = requestContexts.get(request);
+			const requestBody = await readRequestBody(request);
+			let requestPayload: unknown;
+			try {
+				requestPayload = requestBody ? await parseBody(requestBody, request.headers.get('content-type') || '') : undefined;
+			} catch {
+				requestPayload = undefined;
+			}
+
+			const text = policy.body !== undefined ? await response.text() : '';
+			let responsePayload: unknown = text;
+			try {
+				responsePayload = JSON.parse(text);
+			} catch {
+				// Plain text responses are used as they are
+			}
+
+			variables = {
+				workflowId: context?.workflowId,
+				request: {
+					method: request.method,
+					query: Object.fromEntries(new URL(request.url).searchParams),
+					headers: Object.fromEntries(request.headers),
+					body: requestPayload
+				},
+				response: {
+					status: response.status,
+					headers: Object.fromEntries(response.headers),
+					body: responsePayload
+				}
+			};
+		}
+
+		if (policy.body !== undefined) {
+			const rendered = renderTemplate(policy.body, variables);
+			const isText = typeof rendered === 'string';
+			body = isText ? rendered : JSON.stringify(rendered ?? null);
+			headers.set('content-type', isText ? 'text/plain; charset=utf-8' : 'application/json');
+			headers.delete('content-length');
+		}
+		applyFieldChanges(headers, policy.headers, variables);
+
+		// Statuses without a body drop whatever the workflow sent
+		if (status === 204 || status === 304) {
+			await response.body?.cancel();
+			body = null;
+		}
+		return new Response(body, { status, headers });
+	},
+
+	async resolveTarget(parsedUrl: ParsedUrl, env: Env): Promise<ResolvedTarget | null> {
+		const { workflowId, webhookPath, option } = parsedUrl;
+		if (option !== ROUTE_PREFIX) {
+			return { workflowId, webhookPath, option, settings: this.getRouteSettings(workflowId, env) };
+		}
+
+		const route = await this.resolveRoute(workflowId, env);
+		if (!route) {
+			return null;
+		}
+
+		const { target, targets, respond, strategy, methods, ...routeSettings } = route;
+		// Segments after the slug are appended to the target path
+		const suffix = webhookPath.split('/').slice(1);
+		const primary = targets ? targets.find((candidate) => candidate.primary) || targets[0] : { target: target!, strategy };
+		const targetWorkflowId = primary.target.split('/')[0];
+		return {
+			workflowId: targetWorkflowId,
+			webhookPath: [primary.target, ...suffix].join('/'),
+			option: primary.strategy || OPTION_TYPES.PROD_ONLY,
+			settings: { ...this.getRouteSettings(targetWorkflowId, env), ...routeSettings },
+			methods: methods?.map((method) => method.toUpperCase()),
+			fanOut: targets && {
+				respond: respond || FAN_OUT_MODES.PRIMARY,
+				targets: targets.map((candidate) => ({
+					workflowId: candidate.target.split('/')[0],
+					webhookPath: [candidate.target, ...suffix].join('/'),
+					option: candidate.strategy || OPTION_TYPES.PROD_ONLY,
+					primary: candidate === primary
+				}))
+			}
+		};
+	},
+
+	parseRequestUrl(requestUrl: string): ParsedUrl {
+		const url = new URL(requestUrl);
+		const [option, workflowId, ...pathSegments] = url.pathname.split('/').filter(Boolean);
+
+		return {
+			workflowId: workflowId || '',
+			webhookPath: workflowId ? [workflowId, ...pathSegments].join('/') : '',
+			option: option || OPTION_TYPES.PROD_ONLY,
+			searchParams: url.search
+		};
+	},
+
+	prepareHeaders(originalHeaders: Headers, baseUrl: string, options: HeaderOptions = {}): Headers {
+		const { settings = {}, requestUrl, env } = options;
+		const policy = settings.headers || {};
+		const denied = [...DEFAULT_DENIED_HEADERS, ...getAuthHeaders(settings), ...(policy.deny || [])];
+		const headers = new Headers();
+
+		for (const [name, value] of originalHeaders) {
+			if (matchesHeader(name, denied)) {
+				continue;
+			}
+			if (policy.allow && !matchesHeader(name, [...ALWAYS_ALLOWED_HEADERS, ...policy.allow])) {
+				continue;
+			}
+			headers.set(name, value);
+		}
+
+		if (requestUrl && policy.forwarded !== false) {
+			const url = new URL(requestUrl);
+			const clientIp = originalHeaders.get('cf-connecting-ip');
+			const forwardedFor = originalHeaders.get('x-forwarded-for');
+			if (clientIp) {
+				headers.set(
+					'x-forwarded-for',
+					forwardedFor && !forwardedFor.endsWith(clientIp) ? `${forwardedFor}, ${clientIp}` : clientIp
+				);
+			} else if (forwardedFor) {
+				headers.set('x-forwarded-for', forwardedFor);
+			}
+			headers.set('x-forwarded-proto', url.protocol.replace(':', ''));
+			headers.set('x-forwarded-host', url.host);
+		}
+
+		// Upstream credentials are read from Worker secrets, never from the inbound request
+		for (const [name, secretName] of Object.entries(policy.inject || {})) {
+			const value = env && readSecret(env, secretName);
+			if (value) {
+				headers.set(name, value);
+			}
+		}
+
+		headers.set('host', new URL(baseUrl).host);
+		return headers;
+	},
+
+	filterResponseHeaders(response: Response, settings: RouteSettings): Response {
+		const policy = settings.headers?.response;
+		if (!policy?.allow && !policy?.deny) {
+			return response;
+		}
+
+		const filtered = new Response(response.body, response);
+		for (const name of [...response.headers.keys()]) {
+			const allowed = !policy.allow || matchesHeader(name, [...ALWAYS_ALLOWED_HEADERS, ...policy.allow]);
+			if (!allowed || matchesHeader(name, policy.deny || [])) {
+				filtered.headers.delete(name);
+			}
+		}
+		return filtered;
+	},
+
+	async handleRequest(
+		webhookPath: string,
+		request: Request,
+		headers: Headers,
+		env: Env,
+		isTestHook: boolean
+	): Promise<Response> {
+		const webhookType = isTestHook ? WEBHOOK_TYPES.TEST : WEBHOOK_TYPES.PRODUCTION;
+		const path = `/${webhookType}/${webhookPath}`;
+
+		const [workflowId] = webhookPath.split('/');
+		const settings = requestContexts.get(request)?.settings ?? this.getRouteSettings(workflowId, env);
+		const { successCriteria } = settings;
+
+		if (isTestHook && settings.rateLimit?.test) {
+			const scope = `${workflowId}:${WEBHOOK_TYPES.TEST}`;
+			const rateLimit = await this.checkRateLimit(request, scope, settings.rateLimit.test, env);
+			if (rateLimit && !rateLimit.allowed) {
+				throw new RateLimitError(`Rate limit of the ${webhookType} endpoint exceeded`, rateLimit);
+			}
+		}
+
+		const circuitKey = `${workflowId}:${webhookType}`;
+		const circuit = settings.circuitBreaker
+			? await this.checkCircuit(circuitKey, settings.circuitBreaker, env)
+			: null;
+		if (circuit && !circuit.allowed) {
+			throw new CircuitOpenError(`The circuit breaker of the ${webhookType} endpoint is open`, circuit.retryAfter);
+		}
+
+		let succeeded = false;
+		try {
+			const response = settings.retry
+				? await this.requestWithRetry(path, request, headers, env, settings)
+				: await this.makeRequest(path, request, headers, env);
+
+			// A workflow that deliberately answers with an error is passed through unless it is simply not registered
+			if (
+				this.isSuccessfulResponse(response, successCriteria)
+				|| (successCriteria?.fallbackOn === 'not-registered' && response.status !== 404)
+			) {
+				succeeded = true;
+				return response;
+			}
+
+			throw new RequestError(
+				`Request failed with status ${response.status}`,
+				response.status,
+				response,
+				webhookType
+			);
+		} finally {
+			if (circuit && settings.circuitBreaker) {
+				await this.recordCircuitResult(circuitKey, circuit, succeeded, settings.circuitBreaker, env);
+			}
+		}
+	},
+
+	async requestWithRetry(
+		path: string,
+		request: Request,
+		headers: Headers,
+		env: Env,
+		settings: RouteSettings
+	): Promise<Response> {
+		const policy = { ...DEFAULT_RETRY_POLICY, ...settings.retry };
+		const context = requestContexts.get(request);
+
+		// Non-idempotent methods are only retried when the route opts in, streamed bodies never
+		const retryable = (policy.nonIdempotent || IDEMPOTENT_METHODS.includes(request.method))
+			&& context?.replayable !== false;
+		const maxAttempts = retryable ? Math.max(policy.maxAttempts, 1) : 1;
+
+		for (let attempt = 1; ; attempt++) {
+			let response: Response;
+			try {
+				response = await this.makeRequest(path, request, headers, env);
+			} catch (error) {
+				const delay = attempt < maxAttempts && policy.networkErrors ? this.getRetryDelay(policy, attempt) : null;
+				if (delay === null || (context?.deadline !== undefined && Date.now() + delay >= context.deadline)) {
+					throw error;
+				}
+				await sleep(delay);
+				continue;
+			}
+
+			if (
+				attempt >= maxAttempts
+				|| !policy.statuses.includes(response.status)
+				|| this.isSuccessfulResponse(response, settings.successCriteria)
+			) {
+				return response;
+			}
+
+			const delay = this.getRetryDelay(policy, attempt, response);
+			if (delay === null || (context?.deadline !== undefined && Date.now() + delay >= context.deadline)) {
+				return response;
+			}
+			await response.body?.cancel();
+			await sleep(delay);
+		}
+	},
+
+	getRetryDelay(policy: RetryPolicy, attempt: number, response?: Response): number | null {
+		const { baseDelay, maxDelay, respectRetryAfter } = { ...DEFAULT_RETRY_POLICY, ...policy };
+
+		if (respectRetryAfter && response) {
+			const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+			if (retryAfter !== null) {
+				// Waiting longer than the policy allows means giving up instead
+				return retryAfter <= maxDelay ? retryAfter : null;
+			}
+		}
+
+		// Exponential backoff with full jitter
+		const backoff = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+		return Math.floor(Math.random() * backoff);
+	},
+
+	async makeRequest(
 		path: string,
 		originalRequest: Request,
 		headers: Headers,
 		env: Env
 	): Promise<Response> {
-		const url = new URL(path + new URL(originalRequest.url).search, env.N8N_BASE_URL);
-		const clonedRequest = originalRequest.clone();
-
-		return await fetch(new Request(url.toString(), {
-			method: clonedRequest.method,
-			headers: headers,
-			body: clonedRequest.body,
-			redirect: 'follow'
-		}));
+		const context = requestContexts.get(originalRequest);
+		const upstreams = this.selectUpstreams(context?.settings || {}, env);
+		if (upstreams.length === 0) {
+			throw new Error('No n8n upstream is configured for this route');
+		}
+
+		// Requests n8n may already have run only go to the next upstream for idempotent methods, unless the route opts in
+		const idempotent = context?.settings.retry?.nonIdempotent || IDEMPOTENT_METHODS.includes(originalRequest.method);
+
+		for (let index = 0; ; index++) {
+			const upstream = upstreams[index];
+			// A streamed body is sent once, so there is no failover for it
+			const isLast = index === upstreams.length - 1 || context?.replayable === false;
+
+			try {
+				const response = await this.requestUpstream(upstream, path, originalRequest, headers);
+				const unreachable = UNREACHABLE_STATUSES.includes(response.status);
+				const gateway = GATEWAY_STATUSES.includes(response.status);
+				// Gateway errors may come from the workflow itself, so they do not mark the instance as down
+				if (unreachable) {
+					upstreamHealth.set(upstream.name, Date.now() + upstream.cooldown * 1000);
+				} else if (!gateway) {
+					upstreamHealth.delete(upstream.name);
+				}
+				if (isLast || !(unreachable || (gateway && idempotent))) {
+					return response;
+				}
+				await response.body?.cancel();
+			} catch (error) {
+				if (error instanceof TimeoutError && error.timeout === 0) {
+					throw error;
+				}
+				upstreamHealth.set(upstream.name, Date.now() + upstream.cooldown * 1000);
+				// An attempt that timed out may still be running in n8n
+				if (isLast || context?.deadline === 0 || (error instanceof TimeoutError && !idempotent)) {
+					throw error;
+				}
+			}
+		}
+	},
+
+	async requestUpstream(
+		upstream: Upstream,
+		path: string,
+		originalRequest: Request,
+		headers: Headers
+	): Promise<Response> {
+		const search = requestContexts.get(originalRequest)?.search ?? new URL(originalRequest.url).search;
+		const url = new URL(path + search, upstream.url);
+		const upstreamHeaders = new Headers(headers);
+		upstreamHeaders.set('host', url.host);
+
+		const deadline = getAttemptTimeout(originalRequest);
+		if (deadline?.total && deadline.timeout <= 0) {
+			throw new TimeoutError(`Total timeout exceeded before requesting ${path}`, 0);
+		}
+
+		const controller = new AbortController();
+		const timer = deadline ? setTimeout(() => controller.abort(), deadline.timeout) : undefined;
+
+		const context = requestContexts.get(originalRequest);
+		const trace: AttemptTrace = {
+			endpoint: path.split('/')[1],
+			upstream: upstream.name,
+			url: redactUrl(url, context?.settings.logging?.redact || DEFAULT_REDACTED_FIELDS),
+			status: null,
+			latency: 0
+		};
+		context?.trace?.push(trace);
+		const startedAt = Date.now();
+
+		try {
+			const response = await fetch(new Request(url.toString(), {
+				method: originalRequest.method,
+				headers: upstreamHeaders,
+				body: takeRequestBody(originalRequest),
+				redirect: 'follow',
+				signal: controller.signal
+			}));
+			trace.status = response.status;
+			return response;
+		} catch (error) {
+			trace.error = error instanceof Error ? error.message : String(error);
+			if (deadline && controller.signal.aborted) {
+				if (deadline.total && context) {
+					// The clock of the runtime may lag behind timers, so the deadline is marked as used up explicitly
+					context.deadline = 0;
+				}
+				trace.error = 'timeout';
+				throw new TimeoutError(`Request to ${path} timed out after ${deadline.timeout}ms`, deadline.timeout);
+			}
+			throw error;
+		} finally {
+			trace.latency = Date.now() - startedAt;
+			if (timer !== undefined) {
+				clearTimeout(timer);
+			}
+		}
+	},
+
+	traceRequest(request: Request, response: Response, requestId: string, startedAt: number): Response {
+		const context = requestContexts.get(request);
+		const trace = context?.trace || [];
+		const lastAttempt = trace.length > 0 ? trace[trace.length - 1] : undefined;
+
+		const traced = new Response(response.body, response);
+		traced.headers.set('X-Proxy-Request-Id', requestId);
+		traced.headers.set('X-Proxy-Attempts', String(trace.length));
+		if (lastAttempt) {
+			traced.headers.set('X-Proxy-Endpoint', lastAttempt.endpoint);
+		}
+
+		const logging = context?.settings.logging || {};
+		if (logging.enabled === false) {
+			return traced;
+		}
+
+		const redact = logging.redact || DEFAULT_REDACTED_FIELDS;
+		const url = new URL(request.url);
+		const parsedUrl = this.parseRequestUrl(request.url);
+		console.log(JSON.stringify({
+			requestId,
+			method: request.method,
+			url: redactUrl(url, redact),
+			workflowId: context?.workflowId ?? parsedUrl.workflowId,
+			option: context?.option ?? parsedUrl.option,
+			attempts: trace,
+			endpoint: lastAttempt?.endpoint ?? null,
+			fallback: new Set(trace.map((attempt) => attempt.endpoint)).size > 1,
+			cache: response.headers.get('X-Proxy-Cache'),
+			status: response.status,
+			duration: Date.now() - startedAt,
+			...(logging.body && context ? { body: describeRequestBody(context, redact) } : {})
+		}));
+
+		return traced;
+	},
+
+	createNotCachedResponse(response: Response): Response {
+		const newResponse = new Response(response.body, response);
+		newResponse.headers.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
+		newResponse.headers.set('Pragma', 'no-cache');
+		newResponse.headers.set('Expires', '0');
+		return newResponse;
+	},
+
+	createPreflightResponse(request: Request, policy: CorsPolicy, requestId: string): Response {
+		const origin = request.headers.get('origin') || '';
+		if (!isOriginAllowed(origin, policy.origins)) {
+			return this.createErrorResponse(
+				request,
+				403,
+				ERROR_CODES.ORIGIN_NOT_ALLOWED,
+				`Origin '${origin}' is not allowed`,
+				{ requestId }
+			);
+		}
+
+		const response = this.createNotCachedResponse(new Response(null, { status: 204 }));
+		response.headers.set('Access-Control-Allow-Methods', (policy.methods || DEFAULT_CORS_METHODS).join(', '));
+		// Without a configured list the headers asked for are allowed
+		const allowedHeaders = policy.headers?.join(', ') || request.headers.get('access-control-request-headers');
+		if (allowedHeaders) {
+			response.headers.set('Access-Control-Allow-Headers', allowedHeaders);
+		}
+		if (policy.maxAge !== undefined) {
+			response.headers.set('Access-Control-Max-Age', String(policy.maxAge));
+		}
+		response.headers.append('Vary', 'Access-Control-Request-Method, Access-Control-Request-Headers');
+		return response;
+	},
+
+	applyCorsHeaders(request: Request, response: Response, policy: CorsPolicy): Response {
+		const origin = request.headers.get('origin');
+		if (!origin || !isOriginAllowed(origin, policy.origins)) {
+			return response;
+		}
+
+		const corsResponse = new Response(response.body, response);
+		if (policy.origins.includes('*') && !policy.credentials) {
+			corsResponse.headers.set('Access-Control-Allow-Origin', '*');
+		} else {
+			corsResponse.headers.set('Access-Control-Allow-Origin', origin);
+			corsResponse.headers.append('Vary', 'Origin');
+		}
+		if (policy.credentials) {
+			corsResponse.headers.set('Access-Control-Allow-Credentials', 'true');
+		}
+		if (policy.exposeHeaders?.length) {
+			corsResponse.headers.set('Access-Control-Expose-Headers', policy.exposeHeaders.join(', '));
+		}
+		return corsResponse;
+	},
+
+	applyCachePolicy(response: Response, settings: RouteSettings): Response {
+		// Passthrough keeps the Cache-Control decided by the workflow
+		if (settings.cache?.mode === CACHE_MODES.PASSTHROUGH) {
+			return new Response(response.body, response);
+		}
+		return this.createNotCachedResponse(response);
+	},
+
+	storeCachedResponse(cacheKey: Request, response: Response, policy: CachePolicy, ctx: ExecutionContext): Response {
+		const cacheable = new Response(response.body, response);
+		cacheable.headers.set('Cache-Control', `public, max-age=${policy.ttl ?? DEFAULT_CACHE_TTL}`);
+		ctx.waitUntil(caches.default.put(cacheKey, cacheable.clone()));
+
+		cacheable.headers.set('X-Proxy-Cache', 'MISS');
+		return cacheable;
+	},
+
+	async enqueueDelivery(request: Request, target: ResolvedTarget, env: Env, requestId: string): Promise<Response> {
+		if (!env.DELIVERY_QUEUE || !env.PROXY_DATA) {
+			return this.createErrorResponse(
+				request,
+				500,
+				ERROR_CODES.CONFIGURATION_ERROR,
+				'Async delivery requires the DELIVERY_QUEUE and PROXY_DATA bindings',
+				{ requestId }
+			);
+		}
+
+		const body = await readRequestBody(request);
+		if (body === null && request.body) {
+			return this.createErrorResponse(
+				request,
+				413,
+				ERROR_CODES.PAYLOAD_TOO_LARGE,
+				`Request body exceeds the limit of ${target.settings.maxBodySize ?? DEFAULT_MAX_BODY_SIZE} bytes`,
+				{ requestId }
+			);
+		}
+
+		const record = createDeliveryRecord(
+			request,
+			body,
+			target.webhookPath,
+			target.settings.delivery?.strategy || OPTION_TYPES.PROD_ONLY,
+			target.settings,
+			DELIVERY_STATUSES.QUEUED
+		);
+
+		await env.PROXY_DATA.put(`delivery:${record.id}`, JSON.stringify(record), {
+			expirationTtl: target.settings.delivery?.retention ?? DEFAULT_DELIVERY_RETENTION
+		});
+		await env.DELIVERY_QUEUE.send({ id: record.id });
+
+		return this.createNotCachedResponse(Response.json({
+			deliveryId: record.id,
+			status: record.status,
+			statusUrl: `/${DELIVERY_PREFIX}/${record.id}`
+		}, { status: 202 }));
+	},
+
+	async getDeliveryStatus(request: Request, deliveryId: string, env: Env, requestId: string): Promise<Response> {
+		const record = env.PROXY_DATA && deliveryId
+			? await env.PROXY_DATA.get<DeliveryRecord>(`delivery:${deliveryId}`, 'json')
+			: null;
+		if (!record) {
+			return this.createErrorResponse(
+				request,
+				404,
+				ERROR_CODES.DELIVERY_NOT_FOUND,
+				`No delivery found for '${deliveryId}'`,
+				{ requestId }
+			);
+		}
+
+		// The stored request and settings stay private; callers only see the delivery state
+		const { request: storedRequest, settings, ...status } = record;
+		return this.createNotCachedResponse(Response.json(status));
+	},
+
+	async queue(batch: MessageBatch<DeliveryMessage>, env: Env, ctx: ExecutionContext): Promise<void> {
+		for (const message of batch.messages) {
+			await this.deliverMessage(message, env);
+		}
+	},
+
+	async scheduled(controller: ScheduledController, env: Env, ctx: ExecutionContext): Promise<void> {
+		const schedules = parseJsonSetting<Record<string, ScheduleEntry>>(env.SCHEDULES) || {};
+		const time = Math.floor(controller.scheduledTime / 60000) * 60000;
+
+		const entries = Object.entries(schedules);
+		const results = await Promise.allSettled(entries.map(([name, entry]) => this.runSchedule(name, entry, time, env)));
+		results.forEach((result, index) => {
+			if (result.status === 'rejected') {
+				const error = result.reason instanceof Error ? result.reason.message : String(result.reason);
+				console.error(JSON.stringify({ schedule: entries[index][0], error }));
+			}
+		});
+
+		// Failed runs are reported by failing the invocation, so they show up in the cron event history
+		const failures = results.filter((result) => result.status === 'rejected' || result.value?.status === 'failed');
+		if (failures.length > 0) {
+			throw new Error(`${failures.length} scheduled run(s) failed`);
+		}
+	},
+
+	async runSchedule(name: string, entry: ScheduleEntry, time: number, env: Env): Promise<ScheduleRun | null> {
+		const key = `schedule:${name}`;
+		const lastRun = env.PROXY_DATA ? await env.PROXY_DATA.get<ScheduleRun>(key, 'json') : null;
+		const lastTime = lastRun ? Date.parse(lastRun.scheduledTime) : time - 60000;
+		const retries = entry.retries ?? DEFAULT_SCHEDULE_RETRIES;
+
+		// A new occurrence, including one missed since the last run, wins over retrying a failed run
+		const dueTime = findDueTime(parseCron(entry.cron), time, lastTime);
+		let run: ScheduleRun;
+		if (dueTime !== null) {
+			run = {
+				scheduledTime: new Date(dueTime).toISOString(),
+				status: 'failed',
+				attempts: 1,
+				missed: dueTime < time,
+				lastStatus: null,
+				updatedAt: new Date().toISOString()
+			};
+		} else if (lastRun?.status === 'failed' && lastRun.attempts <= retries) {
+			run = { ...lastRun, attempts: lastRun.attempts + 1, updatedAt: new Date().toISOString() };
+		} else {
+			return null;
+		}
+
+		const [workflowId] = entry.target.split('/');
+		const settings = this.getRouteSettings(workflowId, env);
+		const method = (entry.method || 'POST').toUpperCase();
+		const hasBody = entry.payload !== undefined && method !== 'GET' && method !== 'HEAD';
+		const body = hasBody ? new TextEncoder().encode(JSON.stringify(entry.payload)).buffer as ArrayBuffer : null;
+		const request = new Request(`https://schedule.internal/${entry.target}`, {
+			method,
+			headers: { ...(hasBody ? { 'content-type': 'application/json' } : {}), ...entry.headers },
+			body
+		});
+		requestContexts.set(request, {
+			settings,
+			body,
+			replayable: true,
+			deadline: settings.timeout?.total ? Date.now() + settings.timeout.total : undefined,
+			workflowId,
+			option: entry.strategy || OPTION_TYPES.PROD_ONLY,
+			trace: [],
+			requestId: crypto.randomUUID(),
+			// Like queued deliveries, scheduled runs are retried instead of being answered during maintenance
+			queued: true
+		});
+
+		const upstreams = getRouteUpstreams(settings, env);
+		const headers = this.prepareHeaders(request.headers, upstreams[0]?.url || env.N8N_BASE_URL, {
+			settings,
+			requestUrl: request.url,
+			env
+		});
+		try {
+			const response = await this.executeWebhookStrategy(entry.target, request, headers, env, entry.strategy || OPTION_TYPES.PROD_ONLY);
+			await response.body?.cancel();
+			run.status = 'succeeded';
+			run.lastStatus = response.status;
+			delete run.lastError;
+		} catch (error) {
+			const lastError = error instanceof StrategyError ? error.lastError : error;
+			run.status = 'failed';
+			run.lastStatus = lastError instanceof RequestError ? lastError.status : null;
+			run.lastError = error instanceof Error ? error.message : String(error);
+		}
+
+		const exhausted = run.status === 'failed' && run.attempts > retries;
+		const log = { schedule: name, cron: entry.cron, target: entry.target, ...run, exhausted };
+		if (exhausted) {
+			console.error(JSON.stringify(log));
+		} else {
+			console.log(JSON.stringify(log));
+		}
+
+		if (env.PROXY_DATA) {
+			await env.PROXY_DATA.put(key, JSON.stringify(run));
+		}
+		return run;
+	},
+
+	async deliverMessage(message: Message<DeliveryMessage>, env: Env): Promise<void> {
+		const key = `delivery:${message.body.id}`;
+		const record = env.PROXY_DATA ? await env.PROXY_DATA.get<DeliveryRecord>(key, 'json') : null;
+		if (!env.PROXY_DATA || !record || record.status === DELIVERY_STATUSES.DELIVERED) {
+			message.ack();
+			return;
+		}
+
+		const { method, origin, search, headers, body } = record.request;
+		const hasBody = body !== null && method !== 'GET' && method !== 'HEAD';
+		const request = new Request(`https://${DELIVERY_PREFIX}.internal/${record.webhookPath}${search}`, {
+			method,
+			headers,
+			body: hasBody ? decodeBase64(body) : null
+		});
+		requestContexts.set(request, {
+			settings: record.settings,
+			search,
+			body: hasBody ? decodeBase64(body).buffer as ArrayBuffer : null,
+			replayable: true,
+			deadline: record.settings.timeout?.total ? Date.now() + record.settings.timeout.total : undefined,
+			queued: true
+		});
+
+		// Secrets are read when the request is sent, so they are never stored with it
+		const upstreams = getRouteUpstreams(record.settings, env);
+		const upstreamHeaders = this.prepareHeaders(request.headers, upstreams[0]?.url || env.N8N_BASE_URL, {
+			settings: record.settings,
+			requestUrl: origin,
+			env
+		});
+
+		record.attempts++;
+		record.updatedAt = new Date().toISOString();
+		try {
+			const response = await this.executeWebhookStrategy(
+				record.webhookPath,
+				request,
+				upstreamHeaders,
+				env,
+				record.strategy
+			);
+			await response.body?.cancel();
+
+			record.status = DELIVERY_STATUSES.DELIVERED;
+			record.lastStatus = response.status;
+			delete record.lastError;
+			message.ack();
+		} catch (error) {
+			const lastError = error instanceof StrategyError ? error.lastError : error;
+			record.lastStatus = lastError instanceof RequestError ? lastError.status : null;
+			record.lastError = error instanceof Error ? error.message : String(error);
+
+			// The last delivery the queue makes is dead-lettered as well, whatever maxRetries says
+			if (
+				record.attempts > (record.settings.delivery?.maxRetries ?? DEFAULT_DELIVERY_RETRIES) ||
+				message.attempts >= DELIVERY_QUEUE_MAX_RETRIES
+			) {
+				// Undeliverable requests are kept in the dead-letter store until an operator looks at them
+				record.status = DELIVERY_STATUSES.DEAD;
+				await env.PROXY_DATA.put(`dead-letter:${record.id}`, JSON.stringify(record));
+				message.ack();
+			} else {
+				record.status = DELIVERY_STATUSES.RETRYING;
+				message.retry({ delaySeconds: Math.min(MAX_DELIVERY_RETRY_DELAY, 10 * 2 ** (record.attempts - 1)) });
+			}
+		}
+
+		await env.PROXY_DATA.put(key, JSON.stringify(record), {
+			expirationTtl: record.settings.delivery?.retention ?? DEFAULT_DELIVERY_RETENTION
+		});
+	},
+
+	async checkRateLimit(
+		request: Request,
+		scope: string,
+		limit: { limit: number; window: number },
+		env: Env
+	): Promise<RateLimitResult | null> {
+		if (!env.RATE_LIMITER) {
+			return null;
+		}
+
+		const settings = requestContexts.get(request)?.settings || {};
+		const key = await getRateLimitKey(request, settings);
+		const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(`${scope}:${key}`));
+		return await stub.consume(limit.limit, limit.window);
+	},
+
+	createRateLimitResponse(request: Request, result: RateLimitResult, requestId: string): Response {
+		const response = this.createErrorResponse(
+			request,
+			429,
+			ERROR_CODES.RATE_LIMITED,
+			'Rate limit exceeded',
+			{ requestId }
+		);
+		response.headers.set('Retry-After', String(result.reset));
+		response.headers.set('RateLimit-Limit', String(result.limit));
+		response.headers.set('RateLimit-Remaining', String(result.remaining));
+		response.headers.set('RateLimit-Reset', String(result.reset));
+		return response;
+	},
+
+	async checkCircuit(key: string, policy: CircuitBreakerPolicy, env: Env): Promise<CircuitStatus | null> {
+		if (!env.CIRCUIT_BREAKER) {
+			return null;
+		}
+
+		const stub = env.CIRCUIT_BREAKER.get(env.CIRCUIT_BREAKER.idFromName(key));
+		return await stub.check(key, policy.cooldown ?? DEFAULT_CIRCUIT_COOLDOWN);
+	},
+
+	async recordCircuitResult(
+		key: string,
+		status: CircuitStatus,
+		success: boolean,
+		policy: CircuitBreakerPolicy,
+		env: Env
+	): Promise<void> {
+		// Successes of a healthy endpoint do not change anything, so the round trip is skipped
+		if (!env.CIRCUIT_BREAKER || (success && status.state === 'closed' && status.failures === 0)) {
+			return;
+		}
+
+		const stub = env.CIRCUIT_BREAKER.get(env.CIRCUIT_BREAKER.idFromName(key));
+		await stub.record(key, success, policy.failures ?? DEFAULT_CIRCUIT_FAILURES);
+	},
+
+	async getMaintenanceState(workflowId: string, settings: RouteSettings, env: Env): Promise<MaintenanceState | null> {
+		if (settings.maintenance?.enabled) {
+			return settings.maintenance;
+		}
+		if (!env.PROXY_CONFIG) {
+			return null;
+		}
+
+		// A toggle for the workflow wins over the global one
+		for (const name of [workflowId, GLOBAL_MAINTENANCE]) {
+			const state = await env.PROXY_CONFIG.get<MaintenanceState>(`maintenance:${name}`, 'json');
+			if (state?.enabled) {
+				return state;
+			}
+		}
+		return null;
+	},
+
+	async captureRequest(request: Request, webhookPath: string, option: string, env: Env): Promise<string | null> {
+		const body = await readRequestBody(request);
+		if (!env.PROXY_DATA || (body === null && request.body)) {
+			return null;
+		}
+
+		const [workflowId] = webhookPath.split('/');
+		const settings = requestContexts.get(request)?.settings ?? this.getRouteSettings(workflowId, env);
+		const record = createDeliveryRecord(request, body, webhookPath, option, settings, DELIVERY_STATUSES.HELD);
+		const expirationTtl = settings.delivery?.retention ?? DEFAULT_DELIVERY_RETENTION;
+
+		await env.PROXY_DATA.put(`delivery:${record.id}`, JSON.stringify(record), { expirationTtl });
+		await env.PROXY_DATA.put(`held:${workflowId}:${record.id}`, record.id, { expirationTtl });
+		return record.id;
+	},
+
+	async replayHeldRequests(workflowId: string, env: Env): Promise<number> {
+		if (!env.PROXY_DATA || !env.DELIVERY_QUEUE) {
+			return 0;
+		}
+
+		const prefix = workflowId === GLOBAL_MAINTENANCE ? 'held:' : `held:${workflowId}:`;
+		let replayed = 0;
+		let cursor: string | undefined;
+		do {
+			const page = await env.PROXY_DATA.list({ prefix, cursor });
+			for (const key of page.keys) {
+				const id = key.name.slice(key.name.lastIndexOf(':') + 1);
+				const record = await env.PROXY_DATA.get<DeliveryRecord>(`delivery:${id}`, 'json');
+				if (record?.status === DELIVERY_STATUSES.HELD) {
+					record.status = DELIVERY_STATUSES.QUEUED;
+					record.updatedAt = new Date().toISOString();
+					await env.PROXY_DATA.put(`delivery:${id}`, JSON.stringify(record), {
+						expirationTtl: record.settings.delivery?.retention ?? DEFAULT_DELIVERY_RETENTION
+					});
+					await env.DELIVERY_QUEUE.send({ id });
+					replayed++;
+				}
+				await env.PROXY_DATA.delete(key.name);
+			}
+			cursor = page.list_complete ? undefined : page.cursor;
+		} while (cursor);
+
+		return replayed;
+	},
+
+	createCannedResponse(request: Request, canned: CannedResponse, code: string, message: string): Response {
+		const status = canned.status ?? 503;
+		let response: Response;
+		if (canned.json !== undefined) {
+			response = Response.json(canned.json, { status });
+		} else if (canned.html !== undefined) {
+			response = new Response(canned.html, { status, headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+		} else if (canned.text !== undefined) {
+			response = new Response(canned.text, { status, headers: { 'Content-Type': 'text/plain; charset=utf-8' } });
+		} else {
+			const requestId = requestContexts.get(request)?.requestId;
+			response = this.createErrorResponse(request, status, code, canned.message || message, { requestId });
+		}
+
+		const cannedResponse = this.createNotCachedResponse(response);
+		for (const [name, value] of Object.entries(canned.headers || {})) {
+			cannedResponse.headers.set(name, value);
+		}
+		if (canned.retryAfter) {
+			cannedResponse.headers.set('Retry-After', String(canned.retryAfter));
+		}
+		return cannedResponse;
+	},
+
+	async recordRequestStats(
+		workflowId: string,
+		request: Request,
+		response: Response,
+		startedAt: number,
+		env: Env
+	): Promise<void> {
+		if (!env.REQUEST_STATS) {
+			return;
+		}
+
+		const trace = requestContexts.get(request)?.trace || [];
+		const stub = env.REQUEST_STATS.get(env.REQUEST_STATS.idFromName(workflowId));
+		await stub.record({
+			status: response.status,
+			fallback: new Set(trace.map((attempt) => attempt.endpoint)).size > 1,
+			duration: Date.now() - startedAt
+		});
+	},
+
+	async handleAdminRequest(request: Request, env: Env, requestId: string): Promise<Response> {
+		if (!(await this.authorizeAdmin(request, env))) {
+			return this.createErrorResponse(
+				request,
+				401,
+				ERROR_CODES.UNAUTHORIZED,
+				'A valid admin token is required',
+				{ requestId }
+			);
+		}
+
+		const [, resource, name, action, operation] = new URL(request.url).pathname.split('/').filter(Boolean);
+
+		if (resource === 'routes') {
+			return await this.handleRouteAdmin(request, name, env, requestId);
+		}
+
+		if (resource === 'maintenance') {
+			return await this.handleMaintenanceAdmin(request, name, action, env, requestId);
+		}
+
+		if (resource === 'captures') {
+			return await this.handleCaptureAdmin(request, name, action, operation, env, requestId);
+		}
+
+		if (resource === 'stats' && name && request.method === 'GET') {
+			const stats = env.REQUEST_STATS
+				? await env.REQUEST_STATS.get(env.REQUEST_STATS.idFromName(name)).summarize()
+				: null;
+			return Response.json({ workflowId: name, ...stats });
+		}
+
+		if (resource === 'cache' && name === 'purge' && request.method === 'POST') {
+			const body = await readJsonBody<{ url?: string; method?: string }>(request) || {};
+			if (!body.url) {
+				return this.createErrorResponse(
+					request,
+					400,
+					ERROR_CODES.BAD_REQUEST,
+					'The URL to purge is required',
+					{ requestId }
+				);
+			}
+
+			const url = new URL(body.url, request.url);
+			const target = await this.resolveTarget(this.parseRequestUrl(url.toString()), env);
+			const method = (body.method || 'GET').toUpperCase();
+			const purged = target
+				? await caches.default.delete(getCacheKey(url, method, target.settings.cache || {}))
+				: false;
+
+			return Response.json({ purged });
+		}
+
+		if (resource === 'schedules' && !name && request.method === 'GET') {
+			const schedules = parseJsonSetting<Record<string, ScheduleEntry>>(env.SCHEDULES) || {};
+			const entries = await Promise.all(Object.entries(schedules).map(async ([scheduleName, entry]) => ({
+				name: scheduleName,
+				cron: entry.cron,
+				target: entry.target,
+				lastRun: env.PROXY_DATA ? await env.PROXY_DATA.get<ScheduleRun>(`schedule:${scheduleName}`, 'json') : null
+			})));
+			return Response.json({ schedules: entries });
+		}
+
+		if (resource === 'breakers' && !name && request.method === 'GET') {
+			if (!env.CIRCUIT_BREAKER) {
+				return Response.json({ breakers: [] });
+			}
+
+			const registry = env.CIRCUIT_BREAKER.get(env.CIRCUIT_BREAKER.idFromName(CIRCUIT_REGISTRY));
+			const breakers = Object.entries(await registry.list()).map(([key, snapshot]) => {
+				const separator = key.lastIndexOf(':');
+				return { workflowId: key.slice(0, separator), endpoint: key.slice(separator + 1), ...snapshot };
+			});
+			return Response.json({ breakers });
+		}
+
+		return this.createErrorResponse(
+			request,
+			404,
+			ERROR_CODES.NOT_FOUND,
+			'Unknown admin endpoint',
+			{ requestId }
+		);
+	},
+
+	async handleRouteAdmin(request: Request, slug: string | undefined, env: Env, requestId: string): Promise<Response> {
+		if (!env.PROXY_CONFIG) {
+			return this.createErrorResponse(
+				request,
+				500,
+				ERROR_CODES.CONFIGURATION_ERROR,
+				'The PROXY_CONFIG KV namespace is not bound',
+				{ requestId }
+			);
+		}
+
+		if (!slug && request.method === 'GET') {
+			// Routes in KV shadow the ones deployed with the worker
+			const routes: Record<string, RouteAlias & { source: 'kv' | 'env' }> = {};
+			for (const [routeSlug, route] of Object.entries(parseJsonSetting<Record<string, RouteAlias>>(env.ROUTES) || {})) {
+				routes[routeSlug] = { ...route, source: 'env' };
+			}
+
+			let cursor: string | undefined;
+			do {
+				const page = await env.PROXY_CONFIG.list({ prefix: 'route:', cursor });
+				for (const key of page.keys) {
+					const route = await env.PROXY_CONFIG.get<RouteAlias>(key.name, 'json');
+					if (route) {
+						routes[key.name.slice('route:'.length)] = { ...route, source: 'kv' };
+					}
+				}
+				cursor = page.list_complete ? undefined : page.cursor;
+			} while (cursor);
+
+			return Response.json({ routes });
+		}
+
+		if (slug && request.method === 'GET') {
+			const route = await this.resolveRoute(slug, env);
+			return route
+				? Response.json({ slug, route })
+				: this.createErrorResponse(request, 404, ERROR_CODES.ROUTE_NOT_FOUND, `No route is configured for '${slug}'`, { requestId });
+		}
+
+		if (slug && request.method === 'PUT') {
+			const route = await readJsonBody<RouteAlias>(request);
+			const errors = validateRouteAlias(route as RouteAlias, env);
+			if (!route || errors.length > 0) {
+				return this.createErrorResponse(
+					request,
+					422,
+					ERROR_CODES.INVALID_CONFIGURATION,
+					`The route '${slug}' is invalid`,
+					{ requestId, errors }
+				);
+			}
+
+			await env.PROXY_CONFIG.put(`route:${slug}`, JSON.stringify(route));
+			return Response.json({ slug, route });
+		}
+
+		if (slug && request.method === 'DELETE') {
+			const deleted = (await env.PROXY_CONFIG.get(`route:${slug}`)) !== null;
+			await env.PROXY_CONFIG.delete(`route:${slug}`);
+			return Response.json({ deleted });
+		}
+
+		return this.createErrorResponse(request, 404, ERROR_CODES.NOT_FOUND, 'Unknown admin endpoint', { requestId });
+	},
+
+	async handleCaptureAdmin(
+		request: Request,
+		workflowId: string | undefined,
+		captureId: string | undefined,
+		action: string | undefined,
+		env: Env,
+		requestId: string
+	): Promise<Response> {
+		if (!env.PROXY_DATA) {
+			return this.createErrorResponse(
+				request,
+				500,
+				ERROR_CODES.CONFIGURATION_ERROR,
+				'The PROXY_DATA KV namespace is not bound',
+				{ requestId }
+			);
+		}
+		if (!workflowId) {
+			return this.createErrorResponse(request, 404, ERROR_CODES.NOT_FOUND, 'A workflow ID is required', { requestId });
+		}
+
+		if (!captureId && request.method === 'GET') {
+			// The summary is kept in the key metadata, so listing does not read every capture
+			const page = await env.PROXY_DATA.list<Record<string, unknown>>({ prefix: `capture:${workflowId}:` });
+			const captures = page.keys.map((key) => ({
+				id: key.name.slice(`capture:${workflowId}:`.length),
+				...key.metadata
+			}));
+			return Response.json({ workflowId, captures });
+		}
+
+		const capture = captureId
+			? await env.PROXY_DATA.get<CapturedRequest>(`capture:${workflowId}:${captureId}`, 'json')
+			: null;
+		if (!capture) {
+			return this.createErrorResponse(
+				request,
+				404,
+				ERROR_CODES.NOT_FOUND,
+				`No captured request '${captureId}' for '${workflowId}'`,
+				{ requestId }
+			);
+		}
+
+		if (!action && request.method === 'GET') {
+			return Response.json(capture);
+		}
+
+		if (action === 'replay' && request.method === 'POST') {
+			const options = await readJsonBody<ReplayOptions>(request) || {};
+			return await this.replayCapture(request, capture, options, env, requestId);
+		}
+
+		return this.createErrorResponse(request, 405, ERROR_CODES.METHOD_NOT_ALLOWED, 'Method not allowed', { requestId });
 	},
 
-	createNotCachedResponse(response: Response): Response {
-		const newResponse = new Response(response.body, response);
-		newResponse.headers.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
-		newResponse.headers.set('Pragma', 'no-cache');
-		newResponse.headers.set('Expires', '0');
-		return newResponse;
+	async recordCapture(request: Request, response: Response, target: ResolvedTarget, env: Env): Promise<void> {
+		const { settings } = target;
+		const policy = settings.capture || {};
+		const body = await readRequestBody(request);
+		const redact = settings.logging?.redact || DEFAULT_REDACTED_FIELDS;
+		const denied = [...DEFAULT_DENIED_HEADERS, ...getAuthHeaders(settings)];
+
+		// Responses are kept up to a size that is enough to see what the workflow answered
+		const reader = response.body?.getReader();
+		const chunks: Uint8Array[] = [];
+		let size = 0;
+		while (reader && size <= MAX_CAPTURED_RESPONSE_SIZE) {
+			const { done, value } = await reader.read();
+			if (done) {
+				break;
+			}
+			chunks.push(value);
+			size += value.byteLength;
+		}
+		const truncated = size > MAX_CAPTURED_RESPONSE_SIZE;
+		if (truncated) {
+			await reader?.cancel();
+		}
+
+		const capture: CapturedRequest = {
+			id: getCaptureId(),
+			workflowId: target.workflowId,
+			webhookPath: target.webhookPath,
+			option: target.option,
+			settings,
+			capturedAt: new Date().toISOString(),
+			request: {
+				method: request.method,
+				search: requestContexts.get(request)?.search ?? new URL(request.url).search,
+				headers: [...request.headers]
+					.filter(([name]) => !matchesHeader(name, denied))
+					.map(([name, value]) => [name, isRedacted(name, redact) ? '[REDACTED]' : value]),
+				body: body ? encodeBase64(new Uint8Array(body)) : null,
+				streamed: body === null && request.body !== null
+			},
+			response: {
+				status: response.status,
+				headers: [...response.headers],
+				body: new TextDecoder().decode(concatBytes(...chunks).subarray(0, MAX_CAPTURED_RESPONSE_SIZE)),
+				truncated
+			}
+		};
+
+		const prefix = `capture:${target.workflowId}:`;
+		await env.PROXY_DATA!.put(`${prefix}${capture.id}`, JSON.stringify(capture), {
+			expirationTtl: policy.retention ?? DEFAULT_CAPTURE_RETENTION,
+			metadata: {
+				capturedAt: capture.capturedAt,
+				method: capture.request.method,
+				webhookPath: capture.webhookPath,
+				status: capture.response.status
+			}
+		});
+
+		// Keys sort newest first, so everything after the limit is the oldest
+		const page = await env.PROXY_DATA!.list({ prefix });
+		const limit = policy.limit ?? DEFAULT_CAPTURE_LIMIT;
+		await Promise.all(page.keys.slice(limit).map((key) => env.PROXY_DATA!.delete(key.name)));
+	},
+
+	async replayCapture(
+		request: Request,
+		capture: CapturedRequest,
+		options: ReplayOptions,
+		env: Env,
+		requestId: string
+	): Promise<Response> {
+		const endpoint = options.endpoint || WEBHOOK_TYPES.TEST;
+		if (!Object.values(WEBHOOK_TYPES).includes(endpoint as never)) {
+			return this.createErrorResponse(
+				request,
+				400,
+				ERROR_CODES.BAD_REQUEST,
+				`Unknown endpoint '${endpoint}', expected ${Object.values(WEBHOOK_TYPES).join(' or ')}`,
+				{ requestId }
+			);
+		}
+		if (capture.request.streamed && options.body === undefined) {
+			return this.createErrorResponse(
+				request,
+				400,
+				ERROR_CODES.BAD_REQUEST,
+				'The body of this request was too large to be captured; pass a body to replay it',
+				{ requestId }
+			);
+		}
+
+		const headers = new Headers(capture.request.headers);
+		let body: ArrayBuffer | null = capture.request.body ? decodeBase64(capture.request.body).buffer as ArrayBuffer : null;
+		if (options.body !== undefined || options.set) {
+			let payload = options.body;
+			if (payload === undefined) {
+				try {
+					payload = JSON.parse(new TextDecoder().decode(body ?? new ArrayBuffer(0)));
+				} catch {
+					return this.createErrorResponse(
+						request,
+						400,
+						ERROR_CODES.BAD_REQUEST,
+						'Only JSON bodies can be edited with set',
+						{ requestId }
+					);
+				}
+			}
+			for (const [path, value] of Object.entries(options.set || {})) {
+				if (payload === null || typeof payload !== 'object') {
+					payload = {};
+				}
+				try {
+					writePath(payload as Record<string, unknown>, path, value);
+				} catch (error) {
+					return this.createErrorResponse(request, 400, ERROR_CODES.BAD_REQUEST, (error as Error).message, { requestId });
+				}
+			}
+
+			const isText = typeof payload === 'string';
+			body = new TextEncoder().encode(isText ? payload as string : JSON.stringify(payload)).buffer as ArrayBuffer;
+			if (!isText) {
+				headers.set('content-type', 'application/json');
+			}
+			headers.delete('content-length');
+		}
+
+		const { method, search } = capture.request;
+		const hasBody = body !== null && method !== 'GET' && method !== 'HEAD';
+		const { settings } = capture;
+		const replay = new Request(`https://replay.internal/${capture.webhookPath}${search}`, {
+			method,
+			headers,
+			body: hasBody ? body : null
+		});
+		requestContexts.set(replay, {
+			settings,
+			search,
+			body: hasBody ? body : null,
+			replayable: true,
+			workflowId: capture.workflowId,
+			option: capture.option,
+			trace: [],
+			requestId
+		});
+
+		const upstreams = getRouteUpstreams(settings, env);
+		const upstreamHeaders = this.prepareHeaders(headers, upstreams[0]?.url || env.N8N_BASE_URL, {
+			settings,
+			requestUrl: replay.url,
+			env
+		});
+		try {
+			const response = this.filterResponseHeaders(
+				await this.makeRequest(`/${endpoint}/${capture.webhookPath}`, replay, upstreamHeaders, env),
+				settings
+			);
+			const replayed = this.createNotCachedResponse(response);
+			replayed.headers.set('X-Proxy-Capture-Id', capture.id);
+			replayed.headers.set('X-Proxy-Endpoint', endpoint);
+			return replayed;
+		} catch (error) {
+			return this.createFailureResponse(replay, error, settings, requestId);
+		}
+	},
+
+	async handleMaintenanceAdmin(
+		request: Request,
+		workflowId: string | undefined,
+		action: string | undefined,
+		env: Env,
+		requestId: string
+	): Promise<Response> {
+		if (!env.PROXY_CONFIG) {
+			return this.createErrorResponse(
+				request,
+				500,
+				ERROR_CODES.CONFIGURATION_ERROR,
+				'The PROXY_CONFIG KV namespace is not bound',
+				{ requestId }
+			);
+		}
+
+		if (!workflowId && request.method === 'GET') {
+			const workflows: Record<string, MaintenanceState> = {};
+			let cursor: string | undefined;
+			do {
+				const page = await env.PROXY_CONFIG.list({ prefix: 'maintenance:', cursor });
+				for (const key of page.keys) {
+					const state = await env.PROXY_CONFIG.get<MaintenanceState>(key.name, 'json');
+					if (state) {
+						workflows[key.name.slice('maintenance:'.length)] = state;
+					}
+				}
+				cursor = page.list_complete ? undefined : page.cursor;
+			} while (cursor);
+
+			return Response.json({ workflows });
+		}
+
+		if (workflowId && action === 'replay' && request.method === 'POST') {
+			return Response.json({ workflowId, replayed: await this.replayHeldRequests(workflowId, env) });
+		}
+
+		if (workflowId && !action && request.method === 'PUT') {
+			const body = await readJsonBody<MaintenanceState>(request);
+			const errors = validateMaintenanceState(body as MaintenanceState, 'maintenance');
+			if (!body || errors.length > 0) {
+				return this.createErrorResponse(
+					request,
+					422,
+					ERROR_CODES.INVALID_CONFIGURATION,
+					`The maintenance state of '${workflowId}' is invalid`,
+					{ requestId, errors }
+				);
+			}
+
+			const state: MaintenanceState = { ...body, updatedAt: Date.now() };
+			if (state.enabled) {
+				await env.PROXY_CONFIG.put(`maintenance:${workflowId}`, JSON.stringify(state));
+				return Response.json({ workflowId, ...state });
+			}
+
+			// Requests captured during the maintenance are sent to n8n once it ends
+			await env.PROXY_CONFIG.delete(`maintenance:${workflowId}`);
+			return Response.json({ workflowId, ...state, replayed: await this.replayHeldRequests(workflowId, env) });
+		}
+
+		return this.createErrorResponse(request, 404, ERROR_CODES.NOT_FOUND, 'Unknown admin endpoint', { requestId });
+	},
+
+	async authorizeAdmin(request: Request, env: Env): Promise<boolean> {
+		const token = stripPrefix(request.headers.get('authorization'), 'Bearer ');
+		// The admin endpoints stay disabled until an ADMIN_TOKEN secret is set
+		return !!env.ADMIN_TOKEN && !!token && await secretsEqual(token, env.ADMIN_TOKEN);
+	},
+
+	createErrorResponse(
+		request: Request,
+		status: number,
+		code: string,
+		message: string,
+		details: ErrorDetails = {}
+	): Response {
+		const accept = request.headers.get('accept') || '';
+
+		if (accept.includes('application/problem+json')) {
+			return this.createNotCachedResponse(Response.json({
+				type: `urn:n8n-workflow-proxy:error:${code}`,
+				title: message,
+				status,
+				code,
+				...details
+			}, {
+				status,
+				headers: { 'Content-Type': 'application/problem+json' }
+			}));
+		}
+
+		return this.createNotCachedResponse(Response.json({
+			error: { code, message, status, ...details }
+		}, { status }));
+	},
+
+	createFailureResponse(
+		request: Request,
+		error: unknown,
+		settings: RouteSettings,
+		requestId: string
+	): Response {
+		const attempts = error instanceof StrategyError ? error.attempts : [];
+		const lastError = error instanceof StrategyError ? error.lastError : error;
+
+		if (lastError instanceof RateLimitError) {
+			return this.createRateLimitResponse(request, lastError.result, requestId);
+		}
+
+		if (settings.fallbackResponse) {
+			return this.createCannedResponse(
+				request,
+				settings.fallbackResponse,
+				ERROR_CODES.UPSTREAM_FAILED,
+				'All attempts to reach the n8n webhook failed'
+			);
+		}
+
+		// Every endpoint that was still available failed before, so the client is told to come back later
+		if (lastError instanceof CircuitOpenError) {
+			const response = this.createErrorResponse(
+				request,
+				503,
+				ERROR_CODES.CIRCUIT_OPEN,
+				lastError.message,
+				{ requestId, attempts }
+			);
+			response.headers.set('Retry-After', String(lastError.retryAfter));
+			return response;
+		}
+
+		if (settings.failureMode !== FAILURE_MODES.SYNTHESIZE && lastError instanceof RequestError) {
+			return this.createNotCachedResponse(this.filterResponseHeaders(lastError.response, settings));
+		}
+
+		const timedOut = lastError instanceof TimeoutError || attempts[attempts.length - 1]?.status === 504;
+		const timedOutEndpoints = [...new Set(
+			attempts.filter((attempt) => attempt.timedOut).map((attempt) => `'${attempt.endpoint}'`)
+		)];
+
+		return this.createErrorResponse(
+			request,
+			timedOut ? 504 : 502,
+			timedOut ? ERROR_CODES.UPSTREAM_TIMEOUT : ERROR_CODES.UPSTREAM_FAILED,
+			timedOut && timedOutEndpoints.length > 0
+				? `The n8n ${timedOutEndpoints.join(' and ')} ${timedOutEndpoints.length > 1 ? 'endpoints' : 'endpoint'} timed out`
+				: 'All attempts to reach the n8n webhook failed',
+			{ requestId, attempts }
+		);
 	}
 } satisfies WorkerHandler;
+
+// Durable Objects are exported from the entry point so wrangler can bind them
+export { RateLimiter } from './rate-limiter';
+export { CircuitBreaker } from './circuit-breaker';
+export { IdempotencyStore } from './idempotency-store';
+export { RequestStats } from './request-stats';
@@ -0,0 +1,33 @@
+import { DurableObject } from 'cloudflare:workers';
+
+// Define the state of a rate limit after consuming a request
+export type RateLimitResult = {
+	allowed: boolean;
+	limit: number;
+	remaining: number;
+	reset: number;
+};
+
+// Counts requests of one client and scope in fixed windows
+export class RateLimiter extends DurableObject<Env> {
+	async consume(limit: number, window: number): Promise<RateLimitResult> {
+		const now = Date.now();
+		let state = await this.ctx.storage.get<{ start: number; count: number }>('window');
+		if (!state || now >= state.start + window * 1000) {
+			state = { start: now, count: 0 };
+		}
+
+		const allowed = state.count < limit;
+		if (allowed) {
+			state.count++;
+			await this.ctx.storage.put('window', state);
+		}
+
+		return {
+			allowed,
+			limit,
+			remaining: Math.max(limit - state.count, 0),
+			reset: Math.max(Math.ceil((state.start + window * 1000 - now) / 1000), 1)
+		};
+	}
+}
@@ -0,0 +1,66 @@
+import { DurableObject } from 'cloudflare:workers';
+
+// Define the request counters of one minute, kept for the last hour
+type StatsBucket = {
+	minute: number;
+	requests: number;
+	errors: number;
+	fallbacks: number;
+	duration: number;
+	statuses: Record<string, number>;
+};
+
+const STATS_WINDOW_MINUTES = 60;
+
+// Counts the requests of one workflow per minute for the admin API
+export class RequestStats extends DurableObject<Env> {
+	async record(entry: { status: number; fallback: boolean; duration: number }): Promise<void> {
+		const minute = Math.floor(Date.now() / 60000);
+		const buckets = (await this.ctx.storage.get<StatsBucket[]>('buckets') || [])
+			.filter((bucket) => bucket.minute > minute - STATS_WINDOW_MINUTES);
+
+		let bucket = buckets.find((candidate) => candidate.minute === minute);
+		if (!bucket) {
+			bucket = { minute, requests: 0, errors: 0, fallbacks: 0, duration: 0, statuses: {} };
+			buckets.push(bucket);
+		}
+		bucket.requests++;
+		bucket.errors += entry.status >= 500 ? 1 : 0;
+		bucket.fallbacks += entry.fallback ? 1 : 0;
+		bucket.duration += entry.duration;
+		bucket.statuses[entry.status] = (bucket.statuses[entry.status] || 0) + 1;
+
+		await this.ctx.storage.put('buckets', buckets);
+	}
+
+	async summarize(): Promise<{
+		window: number;
+		requests: number;
+		errors: number;
+		fallbacks: number;
+		averageDuration: number;
+		statuses: Record<string, number>;
+	}> {
+		const minute = Math.floor(Date.now() / 60000);
+		const buckets = (await this.ctx.storage.get<StatsBucket[]>('buckets') || [])
+			.filter((bucket) => bucket.minute > minute - STATS_WINDOW_MINUTES);
+
+		const statuses: Record<string, number> = {};
+		for (const bucket of buckets) {
+			for (const [status, count] of Object.entries(bucket.statuses)) {
+				statuses[status] = (statuses[status] || 0) + count;
+			}
+		}
+		const requests = buckets.reduce((sum, bucket) => sum + bucket.requests, 0);
+		const duration = buckets.reduce((sum, bucket) => sum + bucket.duration, 0);
+
+		return {
+			window: STATS_WINDOW_MINUTES * 60,
+			requests,
+			errors: buckets.reduce((sum, bucket) => sum + bucket.errors, 0),
+			fallbacks: buckets.reduce((sum, bucket) => sum + bucket.fallbacks, 0),
+			averageDuration: requests > 0 ? Math.round(duration / requests) : 0,
+			statuses
+		};
+	}
+}
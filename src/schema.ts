@@ -0,0 +1,196 @@
+// Define the subset of JSON Schema supported by the payload validation
+export type JsonSchema = {
+	type?: string | string[];
+	enum?: unknown[];
+	const?: unknown;
+	properties?: Record<string, JsonSchema>;
+	required?: string[];
+	additionalProperties?: boolean | JsonSchema;
+	items?: JsonSchema;
+	minItems?: number;
+	maxItems?: number;
+	minLength?: number;
+	maxLength?: number;
+	pattern?: string;
+	format?: string;
+	minimum?: number;
+	maximum?: number;
+	exclusiveMinimum?: number;
+	exclusiveMaximum?: number;
+	allOf?: JsonSchema[];
+	anyOf?: JsonSchema[];
+	oneOf?: JsonSchema[];
+	not?: JsonSchema;
+};
+
+const SCHEMA_FORMATS: Record<string, RegExp> = {
+	'email': /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+	'uri': /^[a-z][a-z0-9+.-]*:\S+$/i,
+	'date': /^\d{4}-\d{2}-\d{2}$/,
+	'date-time': /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i,
+	'uuid': /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+};
+
+function getSchemaType(value: unknown): string {
+	if (value === null) {
+		return 'null';
+	}
+	if (Array.isArray(value)) {
+		return 'array';
+	}
+	return typeof value;
+}
+
+// Compare JSON values structurally, so the order of object keys does not matter
+function isDeepEqual(a: unknown, b: unknown): boolean {
+	if (a === b) {
+		return true;
+	}
+	if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null || Array.isArray(a) !== Array.isArray(b)) {
+		return false;
+	}
+	if (Array.isArray(a)) {
+		const other = b as unknown[];
+		return a.length === other.length && a.every((item, index) => isDeepEqual(item, other[index]));
+	}
+
+	const left = a as Record<string, unknown>;
+	const right = b as Record<string, unknown>;
+	const keys = Object.keys(left);
+	return keys.length === Object.keys(right).length
+		&& keys.every((key) => Object.prototype.hasOwnProperty.call(right, key) && isDeepEqual(left[key], right[key]));
+}
+
+// List the patterns of a schema and its subschemas that are not valid regular expressions
+export function findInvalidPatterns(schema: JsonSchema, path = ''): string[] {
+	if (!schema || typeof schema !== 'object') {
+		return [];
+	}
+
+	const errors: string[] = [];
+	if (schema.pattern !== undefined) {
+		try {
+			new RegExp(schema.pattern, 'u');
+		} catch {
+			errors.push(`${path}: invalid pattern '${schema.pattern}'`);
+		}
+	}
+	for (const [name, property] of Object.entries(schema.properties || {})) {
+		errors.push(...findInvalidPatterns(property, `${path}/properties/${name}`));
+	}
+	if (typeof schema.additionalProperties === 'object') {
+		errors.push(...findInvalidPatterns(schema.additionalProperties, `${path}/additionalProperties`));
+	}
+	if (schema.items) {
+		errors.push(...findInvalidPatterns(schema.items, `${path}/items`));
+	}
+	for (const keyword of ['allOf', 'anyOf', 'oneOf'] as const) {
+		(schema[keyword] || []).forEach((subschema, index) => {
+			errors.push(...findInvalidPatterns(subschema, `${path}/${keyword}/${index}`));
+		});
+	}
+	if (schema.not) {
+		errors.push(...findInvalidPatterns(schema.not, `${path}/not`));
+	}
+	return errors;
+}
+
+// Validate a value against a JSON Schema, returning one message per violation with its JSON pointer
+export function validateJsonSchema(value: unknown, schema: JsonSchema, path = ''): string[] {
+	const at = path || '/';
+	const type = getSchemaType(value);
+
+	if (schema.type !== undefined) {
+		const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+		const matches = types.some((expected) => expected === type
+			|| (expected === 'integer' && Number.isInteger(value))
+			|| (expected === 'number' && type === 'number'));
+		if (!matches) {
+			return [`${at}: must be ${types.join(' or ')}`];
+		}
+	}
+
+	const errors: string[] = [];
+	if (schema.enum && !schema.enum.some((option) => isDeepEqual(option, value))) {
+		errors.push(`${at}: must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}`);
+	}
+	if (schema.const !== undefined && !isDeepEqual(schema.const, value)) {
+		errors.push(`${at}: must be ${JSON.stringify(schema.const)}`);
+	}
+
+	if (typeof value === 'string') {
+		if (schema.minLength !== undefined && value.length < schema.minLength) {
+			errors.push(`${at}: must have at least ${schema.minLength} characters`);
+		}
+		if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+			errors.push(`${at}: must have at most ${schema.maxLength} characters`);
+		}
+		if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+			errors.push(`${at}: must match ${schema.pattern}`);
+		}
+		if (schema.format && SCHEMA_FORMATS[schema.format] && !SCHEMA_FORMATS[schema.format].test(value)) {
+			errors.push(`${at}: must be a valid ${schema.format}`);
+		}
+	}
+
+	if (typeof value === 'number') {
+		if (schema.minimum !== undefined && value < schema.minimum) {
+			errors.push(`${at}: must be >= ${schema.minimum}`);
+		}
+		if (schema.maximum !== undefined && value > schema.maximum) {
+			errors.push(`${at}: must be <= ${schema.maximum}`);
+		}
+		if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+			errors.push(`${at}: must be > ${schema.exclusiveMinimum}`);
+		}
+		if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+			errors.push(`${at}: must be < ${schema.exclusiveMaximum}`);
+		}
+	}
+
+	if (Array.isArray(value)) {
+		if (schema.minItems !== undefined && value.length < schema.minItems) {
+			errors.push(`${at}: must have at least ${schema.minItems} items`);
+		}
+		if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+			errors.push(`${at}: must have at most ${schema.maxItems} items`);
+		}
+		if (schema.items) {
+			value.forEach((item, index) => errors.push(...validateJsonSchema(item, schema.items as JsonSchema, `${path}/${index}`)));
+		}
+	}
+
+	if (type === 'object') {
+		const object = value as Record<string, unknown>;
+		for (const name of schema.required || []) {
+			if (!Object.prototype.hasOwnProperty.call(object, name)) {
+				errors.push(`${path}/${name}: is required`);
+			}
+		}
+		for (const [name, item] of Object.entries(object)) {
+			const propertySchema = schema.properties?.[name];
+			if (propertySchema) {
+				errors.push(...validateJsonSchema(item, propertySchema, `${path}/${name}`));
+			} else if (schema.additionalProperties === false) {
+				errors.push(`${path}/${name}: is not allowed`);
+			} else if (typeof schema.additionalProperties === 'object') {
+				errors.push(...validateJsonSchema(item, schema.additionalProperties, `${path}/${name}`));
+			}
+		}
+	}
+
+	for (const subschema of schema.allOf || []) {
+		errors.push(...validateJsonSchema(value, subschema, path));
+	}
+	if (schema.anyOf && !schema.anyOf.some((subschema) => validateJsonSchema(value, subschema, path).length === 0)) {
+		errors.push(`${at}: must match at least one of the allowed schemas`);
+	}
+	if (schema.oneOf && schema.oneOf.filter((subschema) => validateJsonSchema(value, subschema, path).length === 0).length !== 1) {
+		errors.push(`${at}: must match exactly one of the allowed schemas`);
+	}
+	if (schema.not && validateJsonSchema(value, schema.not, path).length === 0) {
+		errors.push(`${at}: must not match the excluded schema`);
+	}
+
+	return errors;
+}
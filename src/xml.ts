@@ -0,0 +1,74 @@
+function decodeXmlEntities(text: string): string {
+	return text.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (entity, name: string) => {
+		const named: Record<string, string> = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+		if (name[0] !== '#') {
+			return named[name.toLowerCase()];
+		}
+		return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1)));
+	});
+}
+
+type XmlNode = {
+	name: string;
+	attributes: Record<string, string>;
+	children: [string, unknown][];
+	text: string;
+};
+
+// Elements without attributes and children become strings, repeated elements become lists
+function xmlNodeToJson(node: XmlNode): unknown {
+	const text = node.text.trim();
+	if (Object.keys(node.attributes).length === 0 && node.children.length === 0) {
+		return text;
+	}
+
+	const object: Record<string, unknown> = {};
+	for (const [name, value] of Object.entries(node.attributes)) {
+		object[`@${name}`] = value;
+	}
+	for (const [name, value] of node.children) {
+		const existing = object[name];
+		object[name] = existing === undefined ? value : Array.isArray(existing) ? [...existing, value] : [existing, value];
+	}
+	if (text) {
+		object['#text'] = text;
+	}
+	return object;
+}
+
+// Convert an XML document to JSON; attributes are prefixed with @ and mixed text is kept as #text
+export function parseXml(text: string): unknown {
+	const pattern = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<[?!][\s\S]*?>|<\/\s*([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+	const root: XmlNode = { name: '', attributes: {}, children: [], text: '' };
+	const stack = [root];
+
+	for (const [, cdata, closing, opening, attributes, selfClosing, content] of text.matchAll(pattern)) {
+		const current = stack[stack.length - 1];
+		if (cdata !== undefined) {
+			current.text += cdata;
+		} else if (closing !== undefined) {
+			if (stack.length < 2 || current.name !== closing) {
+				throw new Error(`Unexpected closing tag </${closing}>`);
+			}
+			stack.pop();
+			stack[stack.length - 1].children.push([current.name, xmlNodeToJson(current)]);
+		} else if (opening !== undefined) {
+			const node: XmlNode = { name: opening, attributes: {}, children: [], text: '' };
+			for (const [, name, doubleQuoted, singleQuoted] of (attributes || '').matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+				node.attributes[name] = decodeXmlEntities(doubleQuoted ?? singleQuoted);
+			}
+			if (selfClosing) {
+				current.children.push([opening, xmlNodeToJson(node)]);
+			} else {
+				stack.push(node);
+			}
+		} else if (content !== undefined) {
+			current.text += decodeXmlEntities(content);
+		}
+	}
+
+	if (stack.length !== 1 || root.children.length === 0) {
+		throw new Error('The XML document is incomplete');
+	}
+	return xmlNodeToJson(root);
+}
@@ -1,4 +1,12 @@
-import { env, createExecutionContext, waitOnExecutionContext, SELF } from 'cloudflare:test';
+import {
+	env,
+	createExecutionContext,
+	waitOnExecutionContext,
+	createMessageBatch,
+	createScheduledController,
+	getQueueResult,
+	SELF
+} from 'cloudflare:test';
 import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
 import worker from '../src';
 
@@ -12,9 +20,39 @@ const OPTION_TYPES = {
 	TEST_THEN_PROD: 'tp',
 	PROD_THEN_TEST: 'pt',
 	TEST_ONLY: 't',
-	PROD_ONLY: 'p'
+	PROD_ONLY: 'p',
+	ASYNC: 'a'
 };
 
+// Sign a payload with HMAC and return the signature as hex
+async function signHex(secret, payload, hash = 'SHA-256') {
+	const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash }, false, ['sign']);
+	const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(payload));
+	return [...new Uint8Array(signature)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function base64Url(value) {
+	const bytes = typeof value === 'string' ? new TextEncoder().encode(value) : new Uint8Array(value);
+	return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Create a signed JWT with either a shared secret (HS256) or a private key (RS256)
+async function createJwt(claims, { secret, privateKey, kid } = {}) {
+	const header = base64Url(JSON.stringify({ alg: secret ? 'HS256' : 'RS256', typ: 'JWT', kid }));
+	const payload = base64Url(JSON.stringify(claims));
+	const data = new TextEncoder().encode(`${header}.${payload}`);
+
+	const signature = secret
+		? await crypto.subtle.sign(
+			'HMAC',
+			await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']),
+			data
+		)
+		: await crypto.subtle.sign('RSASSA-PKCS1-v1_5', privateKey, data);
+
+	return `${header}.${payload}.${base64Url(signature)}`;
+}
+
 describe('n8n workflow proxy', () => {
 	beforeEach(() => {
 		// Set up environment variables for tests
@@ -135,6 +173,109 @@ describe('n8n workflow proxy', () => {
 		});
 	});
 
+	describe('retries for transient upstream errors', () => {
+		afterEach(() => {
+			delete env.PROXY_SETTINGS;
+		});
+
+		it('handles pt order with retries - retries webhook before falling back to webhook-test', async () => {
+			const request = new Request('http://example.com/pt/123?param=value');
+			const ctx = createExecutionContext();
+			env.PROXY_SETTINGS = { retry: { maxAttempts: 3, baseDelay: 0 } };
+
+			global.fetch = vi.fn()
+				.mockResolvedValueOnce(new Response('Restarting', { status: 503 }))
+				.mockResolvedValueOnce(new Response('Restarting', { status: 502 }))
+				.mockResolvedValueOnce(new Response('Restarting', { status: 503 }))
+				.mockResolvedValueOnce(new Response('Mocked webhook-test response', { status: 200 }));
+
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(global.fetch).toHaveBeenCalledTimes(4);
+			const urls = global.fetch.mock.calls.map(([upstreamRequest]) => upstreamRequest.url);
+			expect(urls).toEqual([
+				'https://n8n.example.com/webhook/123?param=value',
+				'https://n8n.example.com/webhook/123?param=value',
+				'https://n8n.example.com/webhook/123?param=value',
+				'https://n8n.example.com/webhook-test/123?param=value'
+			]);
+			expect(await response.text()).toBe('Mocked webhook-test response');
+		});
+
+		it('handles p order with retries - recovers from a network error', async () => {
+			const request = new Request('http://example.com/p/123');
+			const ctx = createExecutionContext();
+			env.PROXY_SETTINGS = { retry: { baseDelay: 0 } };
+
+			global.fetch = vi.fn()
+				.mockRejectedValueOnce(new TypeError('Network connection lost'))
+				.mockResolvedValueOnce(new Response('Mocked webhook response', { status: 200 }));
+
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(global.fetch).toHaveBeenCalledTimes(2);
+			expect(await response.text()).toBe('Mocked webhook response');
+		});
+
+		it('handles tp order with retries - does not retry statuses outside the policy', async () => {
+			const request = new Request('http://example.com/tp/123');
+			const ctx = createExecutionContext();
+			env.PROXY_SETTINGS = { retry: { baseDelay: 0 } };
+
+			global.fetch = vi.fn()
+				.mockResolvedValueOnce(new Response('Error response', { status: 404 }))
+				.mockResolvedValueOnce(new Response('Mocked webhook response', { status: 200 }));
+
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(global.fetch).toHaveBeenCalledTimes(2);
+			expect(await response.text()).toBe('Mocked webhook response');
+		});
+
+		it('only retries non-idempotent methods when the route opts in', async () => {
+			env.PROXY_SETTINGS = { retry: { baseDelay: 0 } };
+			global.fetch = vi.fn().mockImplementation(async () => new Response('Restarting', { status: 503 }));
+
+			let ctx = createExecutionContext();
+			let response = await worker.fetch(new Request('http://example.com/p/123', { method: 'POST', body: '{}' }), env, ctx);
+			await waitOnExecutionContext(ctx);
+			expect(global.fetch).toHaveBeenCalledTimes(1);
+			expect(response.status).toBe(503);
+
+			global.fetch.mockClear();
+			env.PROXY_SETTINGS = { retry: { baseDelay: 0, nonIdempotent: true } };
+			ctx = createExecutionContext();
+			response = await worker.fetch(new Request('http://example.com/p/123', { method: 'POST', body: '{}' }), env, ctx);
+			await waitOnExecutionContext(ctx);
+			expect(global.fetch).toHaveBeenCalledTimes(3);
+			for (const [upstreamRequest] of global.fetch.mock.calls) {
+				expect(await upstreamRequest.text()).toBe('{}');
+			}
+		});
+
+		it('getRetryDelay uses exponential backoff with jitter and respects Retry-After', () => {
+			const policy = { baseDelay: 100, maxDelay: 1000 };
+			vi.spyOn(Math, 'random').mockReturnValue(0.999);
+
+			expect(worker.getRetryDelay(policy, 1)).toBe(99);
+			expect(worker.getRetryDelay(policy, 3)).toBe(399);
+			expect(worker.getRetryDelay(policy, 10)).toBe(999);
+
+			const throttled = new Response(null, { status: 429, headers: { 'Retry-After': '1' } });
+			expect(worker.getRetryDelay(policy, 1, throttled)).toBe(1000);
+
+			// A Retry-After beyond the maximum delay stops retrying
+			const unavailable = new Response(null, { status: 503, headers: { 'Retry-After': '120' } });
+			expect(worker.getRetryDelay(policy, 1, unavailable)).toBeNull();
+			expect(worker.getRetryDelay({ ...policy, respectRetryAfter: false }, 1, unavailable)).toBe(99);
+
+			vi.restoreAllMocks();
+		});
+	});
+
 	it('extracts workflow ID and forwards requests to webhook endpoint', async () => {
 		// Use a URL with both option and workflowId
 		const request = new Request('http://example.com/p/123?param=value');
@@ -164,7 +305,11 @@ describe('n8n workflow proxy', () => {
 		await waitOnExecutionContext(ctx);
 
 		expect(response.status).toBe(400);
-		expect(await response.text()).toBe('Error: No workflow ID provided in the URL');
+		expect(response.headers.get('Content-Type')).toBe('application/json');
+		const body = await response.json();
+		expect(body.error.code).toBe('missing-workflow-id');
+		expect(body.error.message).toBe('No workflow ID provided in the URL');
+		expect(body.error.requestId).toEqual(expect.any(String));
 	});
 
 	it('retries with webhook-test endpoint when webhook endpoint fails', async () => {
@@ -325,12 +470,53 @@ describe('n8n workflow proxy', () => {
 		await waitOnExecutionContext(ctx);
 
 		expect(response.status).toBe(500);
-		expect(await response.text()).toBe('Error: N8N_BASE_URL environment variable is not set');
+		const body = await response.json();
+		expect(body.error.code).toBe('configuration-error');
+		expect(body.error.message).toBe('N8N_BASE_URL environment variable is not set');
 
 		// Restore the environment variable
 		env.N8N_BASE_URL = originalN8nBaseUrl;
 	});
 
+	it('returns a configuration error when a setting is not valid JSON', async () => {
+		env.PROXY_SETTINGS = '{';
+		try {
+			const request = new Request('http://example.com/123', { headers: { 'cf-ray': 'ray-json' } });
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(500);
+			const body = await response.json();
+			expect(body.error.code).toBe('configuration-error');
+			expect(body.error.message).toBe('N8N_BASE_URL, PROXY_SETTINGS, WORKFLOW_SETTINGS or ROUTES is invalid');
+			expect(body.error.requestId).toBe('ray-json');
+		} finally {
+			delete env.PROXY_SETTINGS;
+		}
+	});
+
+	it('returns a configuration error when a binding fails', async () => {
+		const failingEnv = {
+			...env,
+			PROXY_CONFIG: {
+				get: async () => {
+					throw new Error('KV unavailable');
+				}
+			}
+		};
+		const request = new Request('http://example.com/hooks/orders', { headers: { 'cf-ray': 'ray-kv' } });
+		const ctx = createExecutionContext();
+		const response = await worker.fetch(request, failingEnv, ctx);
+		await waitOnExecutionContext(ctx);
+
+		expect(response.status).toBe(500);
+		const body = await response.json();
+		expect(body.error.code).toBe('configuration-error');
+		expect(body.error.message).toBe('The proxy could not handle the request');
+		expect(body.error.requestId).toBe('ray-kv');
+	});
+
 	it('handleRequest throws error for non-200 responses', async () => {
 		// Create a mock request and environment
 		const request = new Request('http://example.com/123');
@@ -401,6 +587,80 @@ describe('n8n workflow proxy', () => {
 		}
 	});
 
+	it('handleRequest accepts statuses and ranges from the success criteria', async () => {
+		const request = new Request('http://example.com/123');
+		const mockHeaders = new Headers();
+		const mockEnv = {
+			N8N_BASE_URL: 'https://n8n.example.com',
+			PROXY_SETTINGS: { successCriteria: { statuses: [204], ranges: ['200-202'] } }
+		};
+
+		const originalMakeRequest = worker.makeRequest;
+		worker.makeRequest = vi.fn()
+			.mockResolvedValueOnce(new Response(null, { status: 204 }))
+			.mockResolvedValueOnce(new Response('Accepted', { status: 202 }))
+			.mockResolvedValueOnce(new Response('Non-authoritative', { status: 203 }));
+
+		try {
+			expect((await worker.handleRequest('123', request, mockHeaders, mockEnv, false)).status).toBe(204);
+			expect((await worker.handleRequest('123', request, mockHeaders, mockEnv, false)).status).toBe(202);
+			await expect(worker.handleRequest('123', request, mockHeaders, mockEnv, false))
+				.rejects.toThrow('Request failed with status 203');
+		} finally {
+			worker.makeRequest = originalMakeRequest;
+		}
+	});
+
+	it('handleRequest only falls back on 404 when fallbackOn is not-registered', async () => {
+		const request = new Request('http://example.com/123');
+		const mockHeaders = new Headers();
+		const mockEnv = {
+			N8N_BASE_URL: 'https://n8n.example.com',
+			PROXY_SETTINGS: JSON.stringify({ successCriteria: { ranges: ['2xx'], fallbackOn: 'not-registered' } })
+		};
+
+		const originalMakeRequest = worker.makeRequest;
+		worker.makeRequest = vi.fn()
+			.mockResolvedValueOnce(new Response('Validation failed', { status: 422 }))
+			.mockResolvedValueOnce(new Response('Webhook not registered', { status: 404 }));
+
+		try {
+			// A deliberate error from the workflow is returned as-is
+			const response = await worker.handleRequest('123', request, mockHeaders, mockEnv, false);
+			expect(response.status).toBe(422);
+			expect(await response.text()).toBe('Validation failed');
+
+			// A missing webhook still triggers the fallback
+			await expect(worker.handleRequest('123', request, mockHeaders, mockEnv, false))
+				.rejects.toThrow('Request failed with status 404');
+		} finally {
+			worker.makeRequest = originalMakeRequest;
+		}
+	});
+
+	it('workflow settings override the deployment success criteria', async () => {
+		const request = new Request('http://example.com/pt/123');
+		const ctx = createExecutionContext();
+		env.PROXY_SETTINGS = { successCriteria: { statuses: [200] } };
+		env.WORKFLOW_SETTINGS = { '123': { successCriteria: { statuses: [201] } } };
+
+		global.fetch = vi.fn()
+			.mockResolvedValueOnce(new Response('Created', { status: 201 }));
+
+		try {
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			// The production webhook answered 201, so no fallback is attempted
+			expect(global.fetch).toHaveBeenCalledTimes(1);
+			expect(response.status).toBe(201);
+			expect(await response.text()).toBe('Created');
+		} finally {
+			delete env.PROXY_SETTINGS;
+			delete env.WORKFLOW_SETTINGS;
+		}
+	});
+
 	it('retries with alternate endpoint regardless of response content', async () => {
 		// Use pt option to ensure it tries production first, then test
 		const request = new Request('http://example.com/pt/123');
@@ -458,6 +718,91 @@ describe('n8n workflow proxy', () => {
 		expect(headers.get('Content-Type')).toBe('application/json');
 	});
 
+	it('prepareHeaders drops Cloudflare headers, cookies and proxy credentials', () => {
+		const originalHeaders = new Headers({
+			'Content-Type': 'application/json',
+			'CF-Connecting-IP': '203.0.113.7',
+			'CF-Ray': '8a1b2c3d4e5f6789',
+			'CF-IPCountry': 'PL',
+			'Cookie': 'session=abc',
+			'Authorization': 'Bearer proxy-token',
+			'X-Custom': 'kept'
+		});
+
+		const headers = worker.prepareHeaders(originalHeaders, 'https://n8n.example.com', {
+			settings: { auth: { type: 'jwt', secret: 'JWT_SECRET' } },
+			requestUrl: 'https://proxy.example.com/p/123'
+		});
+
+		expect(headers.get('cf-connecting-ip')).toBeNull();
+		expect(headers.get('cf-ray')).toBeNull();
+		expect(headers.get('cf-ipcountry')).toBeNull();
+		expect(headers.get('cookie')).toBeNull();
+		expect(headers.get('authorization')).toBeNull();
+		expect(headers.get('x-custom')).toBe('kept');
+		expect(headers.get('x-forwarded-for')).toBe('203.0.113.7');
+		expect(headers.get('x-forwarded-proto')).toBe('https');
+		expect(headers.get('x-forwarded-host')).toBe('proxy.example.com');
+	});
+
+	it('prepareHeaders applies allow and deny lists and injects upstream credentials', () => {
+		const originalHeaders = new Headers({
+			'Content-Type': 'application/json',
+			'X-Forwarded-For': '198.51.100.1',
+			'CF-Connecting-IP': '203.0.113.7',
+			'X-Shop-Id': '42',
+			'X-Shop-Debug': 'true',
+			'User-Agent': 'Shop/1.0'
+		});
+
+		const headers = worker.prepareHeaders(originalHeaders, 'https://n8n.example.com', {
+			settings: {
+				headers: {
+					allow: ['x-shop-*'],
+					deny: ['x-shop-debug'],
+					inject: { 'X-N8N-Auth': 'N8N_HEADER_AUTH' }
+				}
+			},
+			requestUrl: 'http://proxy.example.com/p/123',
+			env: { N8N_HEADER_AUTH: 'upstream-secret' }
+		});
+
+		expect(headers.get('content-type')).toBe('application/json');
+		expect(headers.get('x-shop-id')).toBe('42');
+		expect(headers.get('x-shop-debug')).toBeNull();
+		expect(headers.get('user-agent')).toBeNull();
+		expect(headers.get('x-n8n-auth')).toBe('upstream-secret');
+		expect(headers.get('x-forwarded-for')).toBe('198.51.100.1, 203.0.113.7');
+		expect(headers.get('x-forwarded-proto')).toBe('http');
+		expect(headers.get('host')).toBe('n8n.example.com');
+	});
+
+	it('filters response headers coming back from n8n', async () => {
+		const request = new Request('http://example.com/p/123');
+		const ctx = createExecutionContext();
+		env.PROXY_SETTINGS = { headers: { response: { deny: ['x-n8n-*', 'set-cookie'] } } };
+
+		global.fetch = vi.fn().mockResolvedValueOnce(new Response('OK', {
+			status: 200,
+			headers: {
+				'Content-Type': 'text/plain',
+				'X-N8N-Execution': '99',
+				'Set-Cookie': 'n8n-auth=secret'
+			}
+		}));
+
+		try {
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.headers.get('content-type')).toBe('text/plain');
+			expect(response.headers.get('x-n8n-execution')).toBeNull();
+			expect(response.headers.get('set-cookie')).toBeNull();
+		} finally {
+			delete env.PROXY_SETTINGS;
+		}
+	});
+
 	// Test for makeRequest method
 	it('makeRequest constructs the request correctly', async () => {
 		const path = '/webhook/123';
@@ -522,10 +867,59 @@ describe('n8n workflow proxy', () => {
 		expect(result.option).toBe('p'); // OPTION_TYPES.PROD_ONLY is 'p'
 		expect(result.workflowId).toBe('');
 
-		// URL with additional path segments (should ignore extra segments)
+		// URL with additional path segments (kept as part of the webhook path)
 		result = worker.parseRequestUrl('http://example.com/tp/123/extra/segments');
 		expect(result.option).toBe('tp');
 		expect(result.workflowId).toBe('123');
+		expect(result.webhookPath).toBe('123/extra/segments');
+	});
+
+	it('parseRequestUrl keeps multi-segment webhook paths and path parameters', () => {
+		// Custom webhook path with a path parameter value
+		let result = worker.parseRequestUrl('http://example.com/pt/0f6e1c2a-2f2b-4d0e-9a57-5d3c1a2b3c4d/orders/42?expand=items');
+		expect(result.option).toBe('pt');
+		expect(result.workflowId).toBe('0f6e1c2a-2f2b-4d0e-9a57-5d3c1a2b3c4d');
+		expect(result.webhookPath).toBe('0f6e1c2a-2f2b-4d0e-9a57-5d3c1a2b3c4d/orders/42');
+		expect(result.searchParams).toBe('?expand=items');
+
+		// Encoded segments and trailing slashes
+		result = worker.parseRequestUrl('http://example.com/p/123/customers/John%20Doe/');
+		expect(result.webhookPath).toBe('123/customers/John%20Doe');
+
+		// Single workflow ID
+		result = worker.parseRequestUrl('http://example.com/t/123');
+		expect(result.webhookPath).toBe('123');
+
+		// No workflow ID
+		result = worker.parseRequestUrl('http://example.com/123');
+		expect(result.webhookPath).toBe('');
+	});
+
+	it('forwards the full webhook path to both endpoints of a strategy', async () => {
+		const request = new Request('http://example.com/tp/123/orders/42?param=value', { method: 'POST', body: 'payload' });
+		const ctx = createExecutionContext();
+
+		global.fetch = vi.fn()
+			.mockResolvedValueOnce(new Response('Error response', { status: 404 }))
+			.mockResolvedValueOnce(new Response('Order updated', { status: 200 }));
+
+		const response = await worker.fetch(request, env, ctx);
+		await waitOnExecutionContext(ctx);
+
+		expect(global.fetch).toHaveBeenCalledTimes(2);
+		expect(global.fetch).toHaveBeenNthCalledWith(
+			1,
+			expect.objectContaining({
+				url: 'https://n8n.example.com/webhook-test/123/orders/42?param=value'
+			})
+		);
+		expect(global.fetch).toHaveBeenNthCalledWith(
+			2,
+			expect.objectContaining({
+				url: 'https://n8n.example.com/webhook/123/orders/42?param=value'
+			})
+		);
+		expect(await response.text()).toBe('Order updated');
 	});
 
 	// Test for executeWebhookStrategy with invalid option
@@ -583,6 +977,2308 @@ describe('n8n workflow proxy', () => {
 		worker.handleRequest = originalHandleRequest;
 	});
 
+	describe('named route aliases', () => {
+		beforeEach(() => {
+			env.ROUTES = {
+				'stripe-payments': {
+					target: 'abc-123',
+					strategy: OPTION_TYPES.PROD_THEN_TEST,
+					methods: ['post'],
+					successCriteria: { ranges: ['2xx'] }
+				}
+			};
+		});
+
+		afterEach(async () => {
+			delete env.ROUTES;
+			await env.PROXY_CONFIG.delete('route:stripe-payments');
+		});
+
+		it('forwards a friendly slug to the target webhook with the route strategy', async () => {
+			const request = new Request('http://example.com/hooks/stripe-payments?param=value', { method: 'POST', body: '{}' });
+			const ctx = createExecutionContext();
+
+			global.fetch = vi.fn()
+				.mockResolvedValueOnce(new Response('Error response', { status: 404 }))
+				.mockResolvedValueOnce(new Response(null, { status: 204 }));
+
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(global.fetch).toHaveBeenCalledTimes(2);
+			expect(global.fetch).toHaveBeenNthCalledWith(
+				1,
+				expect.objectContaining({ url: 'https://n8n.example.com/webhook/abc-123?param=value' })
+			);
+			expect(global.fetch).toHaveBeenNthCalledWith(
+				2,
+				expect.objectContaining({ url: 'https://n8n.example.com/webhook-test/abc-123?param=value' })
+			);
+			// The route's success criteria accept the 204 of the fallback
+			expect(response.status).toBe(204);
+		});
+
+		it('appends segments after the slug to the target path', async () => {
+			const request = new Request('http://example.com/hooks/stripe-payments/refunds/42', { method: 'POST', body: '{}' });
+			const ctx = createExecutionContext();
+
+			global.fetch = vi.fn().mockResolvedValueOnce(new Response('OK', { status: 200 }));
+
+			await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(global.fetch).toHaveBeenCalledWith(
+				expect.objectContaining({ url: 'https://n8n.example.com/webhook/abc-123/refunds/42' })
+			);
+		});
+
+		it('prefers routes stored in the PROXY_CONFIG KV namespace', async () => {
+			await env.PROXY_CONFIG.put('route:stripe-payments', JSON.stringify({
+				target: 'rotated-456',
+				strategy: OPTION_TYPES.TEST_ONLY
+			}));
+			const request = new Request('http://example.com/hooks/stripe-payments');
+			const ctx = createExecutionContext();
+
+			global.fetch = vi.fn().mockResolvedValueOnce(new Response('OK', { status: 200 }));
+
+			await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(global.fetch).toHaveBeenCalledTimes(1);
+			expect(global.fetch).toHaveBeenCalledWith(
+				expect.objectContaining({ url: 'https://n8n.example.com/webhook-test/rotated-456' })
+			);
+		});
+
+		it('rejects unknown slugs without contacting n8n', async () => {
+			const request = new Request('http://example.com/hooks/unknown', { method: 'POST' });
+			const ctx = createExecutionContext();
+
+			global.fetch = vi.fn();
+
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(global.fetch).not.toHaveBeenCalled();
+			expect(response.status).toBe(404);
+			expect((await response.json()).error.code).toBe('route-not-found');
+		});
+
+		it('rejects methods the route does not allow', async () => {
+			const request = new Request('http://example.com/hooks/stripe-payments', { method: 'GET' });
+			const ctx = createExecutionContext();
+
+			global.fetch = vi.fn();
+
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(global.fetch).not.toHaveBeenCalled();
+			expect(response.status).toBe(405);
+			expect(response.headers.get('Allow')).toBe('POST');
+			expect((await response.json()).error.code).toBe('method-not-allowed');
+		});
+	});
+
+	describe('request body buffering', () => {
+		afterEach(() => {
+			delete env.PROXY_SETTINGS;
+		});
+
+		it('replays an identical POST body to the fallback endpoint', async () => {
+			const body = JSON.stringify({ order: 42, items: ['a', 'b'] });
+			const request = new Request('http://example.com/tp/123', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body
+			});
+			const ctx = createExecutionContext();
+
+			global.fetch = vi.fn()
+				.mockResolvedValueOnce(new Response('Error response', { status: 404 }))
+				.mockResolvedValueOnce(new Response('Mocked webhook response', { status: 200 }));
+
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(global.fetch).toHaveBeenCalledTimes(2);
+			const [[primaryRequest], [fallbackRequest]] = global.fetch.mock.calls;
+			expect(await primaryRequest.text()).toBe(body);
+			expect(await fallbackRequest.text()).toBe(body);
+			expect(await response.text()).toBe('Mocked webhook response');
+		});
+
+		it('replays a streamed body within the limit to the fallback endpoint', async () => {
+			const chunks = ['first chunk,', 'second chunk'];
+			const stream = new ReadableStream({
+				start(controller) {
+					chunks.forEach((chunk) => controller.enqueue(new TextEncoder().encode(chunk)));
+					controller.close();
+				}
+			});
+			const request = new Request('http://example.com/pt/123', { method: 'POST', body: stream });
+			const ctx = createExecutionContext();
+
+			global.fetch = vi.fn()
+				.mockResolvedValueOnce(new Response('Error response', { status: 500 }))
+				.mockResolvedValueOnce(new Response('Mocked webhook-test response', { status: 200 }));
+
+			await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			const [[primaryRequest], [fallbackRequest]] = global.fetch.mock.calls;
+			expect(await primaryRequest.text()).toBe('first chunk,second chunk');
+			expect(await fallbackRequest.text()).toBe('first chunk,second chunk');
+		});
+
+		it('rejects bodies with a declared length above the limit with 413', async () => {
+			env.PROXY_SETTINGS = { maxBodySize: 8 };
+			const request = new Request('http://example.com/tp/123', {
+				method: 'POST',
+				headers: { 'Content-Length': '16' },
+				body: '0123456789abcdef'
+			});
+			const ctx = createExecutionContext();
+
+			global.fetch = vi.fn();
+
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(global.fetch).not.toHaveBeenCalled();
+			expect(response.status).toBe(413);
+			expect((await response.json()).error.code).toBe('payload-too-large');
+		});
+
+		it('streams oversize bodies of unknown length to the primary endpoint only', async () => {
+			env.PROXY_SETTINGS = { maxBodySize: 8 };
+			const stream = new ReadableStream({
+				start(controller) {
+					['01234', '56789', 'abcdef'].forEach((chunk) => controller.enqueue(new TextEncoder().encode(chunk)));
+					controller.close();
+				}
+			});
+			const request = new Request('http://example.com/tp/123', { method: 'POST', body: stream });
+			const ctx = createExecutionContext();
+
+			global.fetch = vi.fn().mockImplementation(async (upstreamRequest) => {
+				// The whole body reaches n8n even though it exceeds the buffer limit
+				expect(await upstreamRequest.text()).toBe('0123456789abcdef');
+				return new Response('Error response', { status: 404 });
+			});
+
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(global.fetch).toHaveBeenCalledTimes(1);
+			expect(response.status).toBe(404);
+		});
+	});
+
+	describe('inbound authentication', () => {
+		beforeEach(() => {
+			env.PROXY_API_KEYS = 'first-key, second-key';
+			env.WEBHOOK_SECRET = 'whsec_test';
+			env.JWT_SECRET = 'jwt-shared-secret';
+			global.fetch = vi.fn().mockResolvedValue(new Response('Mocked webhook response', { status: 200 }));
+		});
+
+		afterEach(() => {
+			delete env.PROXY_SETTINGS;
+			delete env.PROXY_API_KEYS;
+			delete env.WEBHOOK_SECRET;
+			delete env.JWT_SECRET;
+		});
+
+		async function send(request) {
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+			return response;
+		}
+
+		it('accepts a valid API key header and rejects others before reaching n8n', async () => {
+			env.PROXY_SETTINGS = { auth: { type: 'api-key', keys: 'PROXY_API_KEYS' } };
+
+			let response = await send(new Request('http://example.com/p/123', { headers: { 'X-API-Key': 'second-key' } }));
+			expect(response.status).toBe(200);
+			expect(global.fetch).toHaveBeenCalledTimes(1);
+
+			response = await send(new Request('http://example.com/p/123', { headers: { 'X-API-Key': 'wrong-key' } }));
+			expect(response.status).toBe(401);
+			expect(await response.json()).toMatchObject({ error: { code: 'unauthorized', message: 'Invalid API key' } });
+
+			response = await send(new Request('http://example.com/p/123'));
+			expect(response.status).toBe(401);
+			expect((await response.json()).error.message).toBe('Missing API key');
+
+			expect(global.fetch).toHaveBeenCalledTimes(1);
+		});
+
+		it('does not forward an API key passed as query parameter', async () => {
+			env.PROXY_SETTINGS = { auth: { type: 'api-key', keys: 'PROXY_API_KEYS', query: 'api_key' } };
+
+			const response = await send(new Request('http://example.com/p/123?api_key=first-key&param=value'));
+
+			expect(response.status).toBe(200);
+			expect(global.fetch).toHaveBeenCalledWith(
+				expect.objectContaining({ url: 'https://n8n.example.com/webhook/123?param=value' })
+			);
+		});
+
+		it('verifies GitHub style HMAC signatures of the body', async () => {
+			env.PROXY_SETTINGS = { auth: { type: 'hmac', provider: 'github', secret: 'WEBHOOK_SECRET' } };
+			const body = JSON.stringify({ action: 'opened' });
+			const signature = await signHex('whsec_test', body);
+
+			let response = await send(new Request('http://example.com/p/123', {
+				method: 'POST',
+				headers: { 'X-Hub-Signature-256': `sha256=${signature}` },
+				body
+			}));
+			expect(response.status).toBe(200);
+
+			// The forwarded body is still complete after verification
+			const forwarded = global.fetch.mock.calls[0][0];
+			expect(await forwarded.text()).toBe(body);
+
+			response = await send(new Request('http://example.com/p/123', {
+				method: 'POST',
+				headers: { 'X-Hub-Signature-256': `sha256=${signature}` },
+				body: JSON.stringify({ action: 'deleted' })
+			}));
+			expect(response.status).toBe(401);
+			expect((await response.json()).error.message).toBe('Invalid request signature');
+		});
+
+		it('verifies Stripe signatures and enforces the timestamp tolerance', async () => {
+			env.PROXY_SETTINGS = { auth: { type: 'hmac', provider: 'stripe', secret: 'WEBHOOK_SECRET', tolerance: 60 } };
+			const body = JSON.stringify({ id: 'evt_1' });
+
+			const timestamp = Math.floor(Date.now() / 1000);
+			const signature = await signHex('whsec_test', `${timestamp}.${body}`);
+			let response = await send(new Request('http://example.com/p/123', {
+				method: 'POST',
+				headers: { 'Stripe-Signature': `t=${timestamp},v1=deadbeef,v1=${signature}` },
+				body
+			}));
+			expect(response.status).toBe(200);
+
+			const staleTimestamp = timestamp - 120;
+			const staleSignature = await signHex('whsec_test', `${staleTimestamp}.${body}`);
+			response = await send(new Request('http://example.com/p/123', {
+				method: 'POST',
+				headers: { 'Stripe-Signature': `t=${staleTimestamp},v1=${staleSignature}` },
+				body
+			}));
+			expect(response.status).toBe(401);
+			expect((await response.json()).error.message).toBe('Request signature timestamp is outside the allowed tolerance');
+		});
+
+		it('verifies Slack signatures', async () => {
+			env.PROXY_SETTINGS = { auth: { type: 'hmac', provider: 'slack', secret: 'WEBHOOK_SECRET' } };
+			const body = 'token=abc&command=%2Fdeploy';
+			const timestamp = String(Math.floor(Date.now() / 1000));
+			const signature = await signHex('whsec_test', `v0:${timestamp}:${body}`);
+
+			const response = await send(new Request('http://example.com/p/123', {
+				method: 'POST',
+				headers: { 'X-Slack-Signature': `v0=${signature}`, 'X-Slack-Request-Timestamp': timestamp },
+				body
+			}));
+			expect(response.status).toBe(200);
+		});
+
+		it('verifies JWT bearer tokens signed with a shared secret', async () => {
+			env.PROXY_SETTINGS = { auth: { type: 'jwt', secret: 'JWT_SECRET', issuer: 'https://issuer.example.com', audience: 'n8n-proxy' } };
+			const now = Math.floor(Date.now() / 1000);
+
+			const token = await createJwt({ iss: 'https://issuer.example.com', aud: 'n8n-proxy', exp: now + 60 }, { secret: 'jwt-shared-secret' });
+			let response = await send(new Request('http://example.com/p/123', { headers: { Authorization: `Bearer ${token}` } }));
+			expect(response.status).toBe(200);
+
+			const expired = await createJwt({ iss: 'https://issuer.example.com', aud: 'n8n-proxy', exp: now - 60 }, { secret: 'jwt-shared-secret' });
+			response = await send(new Request('http://example.com/p/123', { headers: { Authorization: `Bearer ${expired}` } }));
+			expect(response.status).toBe(401);
+			expect((await response.json()).error.message).toBe('Token has expired');
+
+			const forged = await createJwt({ iss: 'https://issuer.example.com', aud: 'n8n-proxy' }, { secret: 'other-secret' });
+			response = await send(new Request('http://example.com/p/123', { headers: { Authorization: `Bearer ${forged}` } }));
+			expect(response.status).toBe(401);
+			expect((await response.json()).error.message).toBe('Invalid token signature');
+		});
+
+		it('verifies JWT bearer tokens against a JWKS', async () => {
+			const { publicKey, privateKey } = await crypto.subtle.generateKey(
+				{ name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+				true,
+				['sign', 'verify']
+			);
+			const jwk = { ...(await crypto.subtle.exportKey('jwk', publicKey)), kid: 'key-1' };
+			env.PROXY_SETTINGS = { auth: { type: 'jwt', jwksUrl: 'https://issuer.example.com/.well-known/jwks.json' } };
+
+			global.fetch = vi.fn().mockImplementation(async (input) => {
+				if (String(input) === 'https://issuer.example.com/.well-known/jwks.json') {
+					return Response.json({ keys: [jwk] });
+				}
+				return new Response('Mocked webhook response', { status: 200 });
+			});
+
+			const token = await createJwt({ sub: 'integrator' }, { privateKey, kid: 'key-1' });
+			const response = await send(new Request('http://example.com/p/123', { headers: { Authorization: `Bearer ${token}` } }));
+
+			expect(response.status).toBe(200);
+			expect(await response.text()).toBe('Mocked webhook response');
+		});
+
+		it('refreshes the JWKS for unknown key IDs at most once a minute', async () => {
+			const { publicKey, privateKey } = await crypto.subtle.generateKey(
+				{ name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+				true,
+				['sign', 'verify']
+			);
+			const jwksUrl = 'https://rotating.example.com/.well-known/jwks.json';
+			const keys = [{ ...(await crypto.subtle.exportKey('jwk', publicKey)), kid: 'key-1' }];
+			env.PROXY_SETTINGS = { auth: { type: 'jwt', jwksUrl } };
+
+			global.fetch = vi.fn().mockImplementation(async (input) => {
+				if (String(input) === jwksUrl) {
+					return Response.json({ keys });
+				}
+				return new Response('Mocked webhook response', { status: 200 });
+			});
+			const jwksFetches = () => global.fetch.mock.calls.filter(([input]) => String(input) === jwksUrl).length;
+
+			for (const kid of ['unknown-1', 'unknown-2', 'unknown-3']) {
+				const token = await createJwt({ sub: 'integrator' }, { privateKey, kid });
+				const response = await send(new Request('http://example.com/p/123', { headers: { Authorization: `Bearer ${token}` } }));
+				expect(response.status).toBe(401);
+			}
+			expect(jwksFetches()).toBe(1);
+
+			// A rotated key is picked up once the minute has passed
+			keys.push({ ...keys[0], kid: 'key-2' });
+			const token = await createJwt({ sub: 'integrator' }, { privateKey, kid: 'key-2' });
+			const clock = vi.spyOn(Date, 'now').mockReturnValue(Date.now() + 61 * 1000);
+			try {
+				const response = await send(new Request('http://example.com/p/123', { headers: { Authorization: `Bearer ${token}` } }));
+				expect(response.status).toBe(200);
+				expect(jwksFetches()).toBe(2);
+			} finally {
+				clock.mockRestore();
+			}
+		});
+
+		it('shares one JWKS fetch between concurrent requests', async () => {
+			const { publicKey, privateKey } = await crypto.subtle.generateKey(
+				{ name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+				true,
+				['sign', 'verify']
+			);
+			const jwksUrl = 'https://concurrent.example.com/.well-known/jwks.json';
+			const jwk = { ...(await crypto.subtle.exportKey('jwk', publicKey)), kid: 'key-1' };
+			env.PROXY_SETTINGS = { auth: { type: 'jwt', jwksUrl } };
+
+			global.fetch = vi.fn().mockImplementation(async (input) => {
+				if (String(input) === jwksUrl) {
+					await new Promise((resolve) => setTimeout(resolve, 20));
+					return Response.json({ keys: [jwk] });
+				}
+				return new Response('Mocked webhook response', { status: 200 });
+			});
+
+			const token = await createJwt({ sub: 'integrator' }, { privateKey, kid: 'key-1' });
+			const responses = await Promise.all(
+				[1, 2, 3].map(() => send(new Request('http://example.com/p/123', { headers: { Authorization: `Bearer ${token}` } })))
+			);
+
+			expect(responses.map((response) => response.status)).toEqual([200, 200, 200]);
+			expect(global.fetch.mock.calls.filter(([input]) => String(input) === jwksUrl)).toHaveLength(1);
+		});
+
+		it('fetches the JWKS again after a failed fetch', async () => {
+			const { publicKey, privateKey } = await crypto.subtle.generateKey(
+				{ name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+				true,
+				['sign', 'verify']
+			);
+			const jwksUrl = 'https://flaky.example.com/.well-known/jwks.json';
+			const jwk = { ...(await crypto.subtle.exportKey('jwk', publicKey)), kid: 'key-1' };
+			env.PROXY_SETTINGS = { auth: { type: 'jwt', jwksUrl } };
+
+			let failures = 1;
+			global.fetch = vi.fn().mockImplementation(async (input) => {
+				if (String(input) === jwksUrl) {
+					return failures-- > 0 ? new Response('Unavailable', { status: 503 }) : Response.json({ keys: [jwk] });
+				}
+				return new Response('Mocked webhook response', { status: 200 });
+			});
+
+			const token = await createJwt({ sub: 'integrator' }, { privateKey, kid: 'key-1' });
+			const first = await send(new Request('http://example.com/p/123', { headers: { Authorization: `Bearer ${token}` } }));
+			expect(first.status).toBe(401);
+
+			const second = await send(new Request('http://example.com/p/123', { headers: { Authorization: `Bearer ${token}` } }));
+			expect(second.status).toBe(200);
+			expect(global.fetch.mock.calls.filter(([input]) => String(input) === jwksUrl)).toHaveLength(2);
+		});
+
+		it('accepts a request when any of several methods succeeds', async () => {
+			env.PROXY_SETTINGS = {
+				auth: [
+					{ type: 'jwt', secret: 'JWT_SECRET' },
+					{ type: 'api-key', keys: 'PROXY_API_KEYS', header: 'X-Proxy-Key' }
+				]
+			};
+
+			const response = await send(new Request('http://example.com/p/123', { headers: { 'X-Proxy-Key': 'first-key' } }));
+			expect(response.status).toBe(200);
+		});
+	});
+
+	describe('cache policies', () => {
+		afterEach(async () => {
+			delete env.PROXY_SETTINGS;
+			delete env.ADMIN_TOKEN;
+			await caches.default.delete('http://example.com/_admin/cache/GET/p/123?lang=en');
+		});
+
+		async function send(request) {
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+			return response;
+		}
+
+		it('serves repeated GET requests from the edge cache', async () => {
+			env.PROXY_SETTINGS = { cache: { mode: 'edge', ttl: 120, queryParams: ['lang'] } };
+			global.fetch = vi.fn().mockImplementation(async () => new Response('Report', { status: 200 }));
+
+			const first = await send(new Request('http://example.com/p/123?lang=en&utm_source=mail'));
+			expect(first.headers.get('X-Proxy-Cache')).toBe('MISS');
+			expect(await first.text()).toBe('Report');
+
+			// Query parameters outside the selection do not change the cache key
+			const second = await send(new Request('http://example.com/p/123?utm_source=ads&lang=en'));
+			expect(second.headers.get('X-Proxy-Cache')).toBe('HIT');
+			expect(second.headers.get('Cache-Control')).toBe('no-store, no-cache, must-revalidate, proxy-revalidate');
+			expect(await second.text()).toBe('Report');
+
+			expect(global.fetch).toHaveBeenCalledTimes(1);
+		});
+
+		it('does not cache methods or statuses outside the policy', async () => {
+			env.PROXY_SETTINGS = { cache: { mode: 'edge' } };
+			global.fetch = vi.fn().mockImplementation(async () => new Response('Created', { status: 200 }));
+
+			await send(new Request('http://example.com/p/123?lang=en', { method: 'POST', body: '{}' }));
+			const response = await send(new Request('http://example.com/p/123?lang=en', { method: 'POST', body: '{}' }));
+
+			expect(response.headers.get('X-Proxy-Cache')).toBeNull();
+			expect(global.fetch).toHaveBeenCalledTimes(2);
+		});
+
+		it('keeps the upstream Cache-Control in passthrough mode', async () => {
+			env.PROXY_SETTINGS = { cache: { mode: 'passthrough' } };
+			global.fetch = vi.fn().mockResolvedValueOnce(new Response('Lookup', {
+				status: 200,
+				headers: { 'Cache-Control': 'public, max-age=30' }
+			}));
+
+			const response = await send(new Request('http://example.com/p/123'));
+
+			expect(response.headers.get('Cache-Control')).toBe('public, max-age=30');
+			expect(response.headers.get('Pragma')).toBeNull();
+		});
+
+		it('purges a cached response through the admin endpoint', async () => {
+			env.PROXY_SETTINGS = { cache: { mode: 'edge', queryParams: ['lang'] } };
+			env.ADMIN_TOKEN = 'admin-secret';
+			global.fetch = vi.fn().mockImplementation(async () => new Response('Report', { status: 200 }));
+
+			await send(new Request('http://example.com/p/123?lang=en'));
+
+			const purge = await send(new Request('http://example.com/_admin/cache/purge', {
+				method: 'POST',
+				headers: { Authorization: 'Bearer admin-secret' },
+				body: JSON.stringify({ url: '/p/123?lang=en' })
+			}));
+			expect(await purge.json()).toEqual({ purged: true });
+
+			const response = await send(new Request('http://example.com/p/123?lang=en'));
+			expect(response.headers.get('X-Proxy-Cache')).toBe('MISS');
+			expect(global.fetch).toHaveBeenCalledTimes(2);
+		});
+
+		it('rejects admin requests without a valid token', async () => {
+			env.ADMIN_TOKEN = 'admin-secret';
+
+			const response = await send(new Request('http://example.com/_admin/cache/purge', {
+				method: 'POST',
+				headers: { Authorization: 'Bearer wrong' },
+				body: JSON.stringify({ url: '/p/123' })
+			}));
+
+			expect(response.status).toBe(401);
+			expect((await response.json()).error.code).toBe('unauthorized');
+		});
+	});
+
+	describe('upstream timeouts', () => {
+		// Simulate an n8n webhook that never answers until the proxy gives up
+		const hangUntilAborted = (upstreamRequest) => new Promise((resolve, reject) => {
+			upstreamRequest.signal.addEventListener('abort', () => reject(new Error('The operation was aborted')));
+		});
+
+		afterEach(() => {
+			delete env.PROXY_SETTINGS;
+		});
+
+		async function send(request) {
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+			return response;
+		}
+
+		it('falls back when the primary attempt times out', async () => {
+			env.PROXY_SETTINGS = { timeout: { attempt: 20 } };
+			global.fetch = vi.fn()
+				.mockImplementationOnce(hangUntilAborted)
+				.mockResolvedValueOnce(new Response('Mocked webhook-test response', { status: 200 }));
+
+			const response = await send(new Request('http://example.com/pt/123'));
+
+			expect(global.fetch).toHaveBeenCalledTimes(2);
+			expect(response.status).toBe(200);
+			expect(await response.text()).toBe('Mocked webhook-test response');
+		});
+
+		it('answers 504 naming the endpoint that timed out', async () => {
+			env.PROXY_SETTINGS = { timeout: { attempt: 20 } };
+			global.fetch = vi.fn().mockImplementationOnce(hangUntilAborted);
+
+			const response = await send(new Request('http://example.com/p/123'));
+
+			expect(response.status).toBe(504);
+			const body = await response.json();
+			expect(body.error.code).toBe('upstream-timeout');
+			expect(body.error.message).toBe("The n8n 'webhook' endpoint timed out");
+			expect(body.error.attempts).toEqual([{
+				endpoint: WEBHOOK_TYPES.PRODUCTION,
+				status: null,
+				error: 'Request to /webhook/123 timed out after 20ms',
+				timedOut: true
+			}]);
+		});
+
+		it('skips the fallback once the total timeout is used up', async () => {
+			env.PROXY_SETTINGS = { timeout: { attempt: 1000, total: 100 } };
+			global.fetch = vi.fn().mockImplementation(hangUntilAborted);
+
+			const response = await send(new Request('http://example.com/tp/123'));
+
+			expect(global.fetch).toHaveBeenCalledTimes(1);
+			expect(response.status).toBe(504);
+			const body = await response.json();
+			expect(body.error.message).toBe("The n8n 'webhook-test' endpoint timed out");
+			expect(body.error.attempts[1].error).toBe('Total timeout exceeded before requesting /webhook/123');
+		});
+	});
+
+	describe('async delivery mode', () => {
+		afterEach(() => {
+			delete env.PROXY_SETTINGS;
+		});
+
+		async function send(request) {
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+			return response;
+		}
+
+		async function deliver(deliveryId, attempts = 1) {
+			const batch = createMessageBatch('n8n-deliveries', [
+				{ id: `message-${deliveryId}`, timestamp: new Date(), attempts, body: { id: deliveryId } }
+			]);
+			const ctx = createExecutionContext();
+			await worker.queue(batch, env, ctx);
+			return await getQueueResult(batch, ctx);
+		}
+
+		async function getStatus(deliveryId) {
+			return await (await send(new Request(`http://example.com/_deliveries/${deliveryId}`))).json();
+		}
+
+		it('accepts the request with 202 and persists it without calling n8n', async () => {
+			global.fetch = vi.fn();
+
+			const response = await send(new Request('http://example.com/a/123/orders?param=value', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ order: 42 })
+			}));
+
+			expect(response.status).toBe(202);
+			const { deliveryId, status, statusUrl } = await response.json();
+			expect(status).toBe('queued');
+			expect(statusUrl).toBe(`/_deliveries/${deliveryId}`);
+			expect(global.fetch).not.toHaveBeenCalled();
+
+			expect(await getStatus(deliveryId)).toMatchObject({
+				id: deliveryId,
+				status: 'queued',
+				webhookPath: '123/orders',
+				attempts: 0
+			});
+		});
+
+		it('delivers queued requests to n8n in the background', async () => {
+			env.PROXY_SETTINGS = { delivery: { strategy: OPTION_TYPES.PROD_THEN_TEST } };
+			const body = JSON.stringify({ order: 42 });
+			const { deliveryId } = await (await send(new Request('http://example.com/a/123?param=value', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body
+			}))).json();
+
+			global.fetch = vi.fn()
+				.mockResolvedValueOnce(new Response('Error response', { status: 404 }))
+				.mockResolvedValueOnce(new Response('Mocked webhook-test response', { status: 200 }));
+
+			const result = await deliver(deliveryId);
+
+			expect(result.explicitAcks).toEqual([`message-${deliveryId}`]);
+			expect(global.fetch).toHaveBeenCalledTimes(2);
+			const [[primaryRequest], [fallbackRequest]] = global.fetch.mock.calls;
+			expect(primaryRequest.url).toBe('https://n8n.example.com/webhook/123?param=value');
+			expect(fallbackRequest.url).toBe('https://n8n.example.com/webhook-test/123?param=value');
+			expect(primaryRequest.method).toBe('POST');
+			expect(primaryRequest.headers.get('content-type')).toBe('application/json');
+			expect(await fallbackRequest.text()).toBe(body);
+
+			expect(await getStatus(deliveryId)).toMatchObject({ status: 'delivered', attempts: 1, lastStatus: 200 });
+		});
+
+		it('retries failed deliveries and moves them to the dead-letter store', async () => {
+			env.PROXY_SETTINGS = { delivery: { maxRetries: 1 } };
+			const { deliveryId } = await (await send(new Request('http://example.com/a/123', {
+				method: 'POST',
+				body: 'payload'
+			}))).json();
+
+			global.fetch = vi.fn().mockImplementation(async () => new Response('Maintenance', { status: 503 }));
+
+			let result = await deliver(deliveryId, 1);
+			expect(result.retryMessages.map(({ msgId }) => msgId)).toEqual([`message-${deliveryId}`]);
+			expect(await getStatus(deliveryId)).toMatchObject({ status: 'retrying', attempts: 1, lastStatus: 503 });
+
+			result = await deliver(deliveryId, 2);
+			expect(result.explicitAcks).toEqual([`message-${deliveryId}`]);
+			expect(await getStatus(deliveryId)).toMatchObject({ status: 'dead', attempts: 2 });
+
+			const deadLetter = await env.PROXY_DATA.get(`dead-letter:${deliveryId}`, 'json');
+			expect(deadLetter.request.body).toBe(btoa('payload'));
+		});
+
+		it('dead-letters the last delivery the queue makes', async () => {
+			env.PROXY_SETTINGS = { delivery: { maxRetries: 20 } };
+			const { deliveryId } = await (await send(new Request('http://example.com/a/123', {
+				method: 'POST',
+				body: 'payload'
+			}))).json();
+
+			global.fetch = vi.fn().mockImplementation(async () => new Response('Maintenance', { status: 503 }));
+
+			const result = await deliver(deliveryId, 10);
+			expect(result.explicitAcks).toEqual([`message-${deliveryId}`]);
+			expect(await getStatus(deliveryId)).toMatchObject({ status: 'dead' });
+			expect(await env.PROXY_DATA.get(`dead-letter:${deliveryId}`)).not.toBeNull();
+		});
+
+		it('stores inbound headers only and injects upstream credentials when delivering', async () => {
+			env.PROXY_SETTINGS = { headers: { inject: { 'X-N8N-Auth': 'N8N_HEADER_AUTH' } } };
+			env.N8N_HEADER_AUTH = 'super-secret';
+			try {
+				const { deliveryId } = await (await send(new Request('https://example.com/a/123', {
+					method: 'POST',
+					headers: { 'X-Shop': 'acme', Cookie: 'session=1', 'cf-connecting-ip': '203.0.113.1' },
+					body: 'payload'
+				}))).json();
+
+				const record = await env.PROXY_DATA.get(`delivery:${deliveryId}`, 'json');
+				expect(JSON.stringify(record)).not.toContain('super-secret');
+				expect(Object.fromEntries(record.request.headers)).toMatchObject({ 'x-shop': 'acme' });
+				expect(Object.fromEntries(record.request.headers).cookie).toBeUndefined();
+
+				global.fetch = vi.fn().mockResolvedValue(new Response('OK', { status: 200 }));
+				await deliver(deliveryId);
+
+				const [[delivered]] = global.fetch.mock.calls;
+				expect(delivered.headers.get('X-N8N-Auth')).toBe('super-secret');
+				expect(delivered.headers.get('X-Shop')).toBe('acme');
+				expect(delivered.headers.get('X-Forwarded-For')).toBe('203.0.113.1');
+				expect(delivered.headers.get('X-Forwarded-Host')).toBe('example.com');
+			} finally {
+				delete env.N8N_HEADER_AUTH;
+			}
+		});
+
+		it('returns 404 for unknown delivery IDs', async () => {
+			const response = await send(new Request('http://example.com/_deliveries/unknown'));
+
+			expect(response.status).toBe(404);
+			expect((await response.json()).error.code).toBe('delivery-not-found');
+		});
+	});
+
+	describe('rate limiting', () => {
+		afterEach(() => {
+			delete env.PROXY_SETTINGS;
+			delete env.WORKFLOW_SETTINGS;
+		});
+
+		async function send(path, headers = {}) {
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(new Request(`http://example.com${path}`, { headers }), env, ctx);
+			await waitOnExecutionContext(ctx);
+			return response;
+		}
+
+		it('rejects requests over the limit with 429 and rate limit headers', async () => {
+			env.WORKFLOW_SETTINGS = { 'limited-1': { rateLimit: { limit: 2, window: 60 } } };
+			global.fetch = vi.fn().mockImplementation(async () => new Response('OK', { status: 200 }));
+			const headers = { 'cf-connecting-ip': '203.0.113.1' };
+
+			expect((await send('/p/limited-1', headers)).status).toBe(200);
+			expect((await send('/p/limited-1', headers)).status).toBe(200);
+
+			const response = await send('/p/limited-1', headers);
+			expect(response.status).toBe(429);
+			expect(response.headers.get('RateLimit-Limit')).toBe('2');
+			expect(response.headers.get('RateLimit-Remaining')).toBe('0');
+			expect(Number(response.headers.get('Retry-After'))).toBeGreaterThan(0);
+			expect(response.headers.get('Retry-After')).toBe(response.headers.get('RateLimit-Reset'));
+			expect((await response.json()).error.code).toBe('rate-limited');
+			expect(global.fetch).toHaveBeenCalledTimes(2);
+
+			// Other clients have their own counter
+			expect((await send('/p/limited-1', { 'cf-connecting-ip': '203.0.113.2' })).status).toBe(200);
+		});
+
+		it('counts all clients together when keyed by workflow', async () => {
+			env.WORKFLOW_SETTINGS = { 'limited-2': { rateLimit: { limit: 1, window: 60, key: 'workflow' } } };
+			global.fetch = vi.fn().mockImplementation(async () => new Response('OK', { status: 200 }));
+
+			expect((await send('/p/limited-2', { 'cf-connecting-ip': '203.0.113.1' })).status).toBe(200);
+			expect((await send('/p/limited-2', { 'cf-connecting-ip': '203.0.113.2' })).status).toBe(429);
+		});
+
+		it('falls back to production when the stricter test limit is exceeded', async () => {
+			env.WORKFLOW_SETTINGS = {
+				'limited-3': { rateLimit: { limit: 10, window: 60, test: { limit: 1, window: 60 } } }
+			};
+			global.fetch = vi.fn().mockImplementation(async () => new Response('OK', { status: 200 }));
+
+			expect((await send('/tp/limited-3')).status).toBe(200);
+			expect(global.fetch.mock.calls[0][0].url).toBe('https://n8n.example.com/webhook-test/limited-3');
+
+			expect((await send('/tp/limited-3')).status).toBe(200);
+			expect(global.fetch.mock.calls[1][0].url).toBe('https://n8n.example.com/webhook/limited-3');
+
+			expect((await send('/t/limited-3')).status).toBe(429);
+			expect(global.fetch).toHaveBeenCalledTimes(2);
+		});
+	});
+
+	describe('request logging and trace headers', () => {
+		afterEach(() => {
+			delete env.PROXY_SETTINGS;
+			vi.restoreAllMocks();
+		});
+
+		async function send(request) {
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+			return response;
+		}
+
+		function getLogEntry(log) {
+			expect(log).toHaveBeenCalledTimes(1);
+			return JSON.parse(log.mock.calls[0][0]);
+		}
+
+		it('reports which endpoint answered and how many attempts were made', async () => {
+			const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+			global.fetch = vi.fn()
+				.mockResolvedValueOnce(new Response('Not registered', { status: 404 }))
+				.mockResolvedValueOnce(new Response('OK', { status: 200 }));
+
+			const response = await send(new Request('http://example.com/tp/123?token=abc&page=2', {
+				headers: { 'cf-ray': 'ray-456' }
+			}));
+
+			expect(response.status).toBe(200);
+			expect(response.headers.get('X-Proxy-Request-Id')).toBe('ray-456');
+			expect(response.headers.get('X-Proxy-Endpoint')).toBe(WEBHOOK_TYPES.PRODUCTION);
+			expect(response.headers.get('X-Proxy-Attempts')).toBe('2');
+
+			const entry = getLogEntry(log);
+			expect(entry).toMatchObject({
+				requestId: 'ray-456',
+				method: 'GET',
+				url: '/tp/123?token=%5BREDACTED%5D&page=2',
+				workflowId: '123',
+				option: 'tp',
+				endpoint: WEBHOOK_TYPES.PRODUCTION,
+				fallback: true,
+				status: 200
+			});
+			expect(entry.attempts).toEqual([
+				expect.objectContaining({ endpoint: WEBHOOK_TYPES.TEST, url: '/webhook-test/123?token=%5BREDACTED%5D&page=2', status: 404 }),
+				expect.objectContaining({ endpoint: WEBHOOK_TYPES.PRODUCTION, url: '/webhook/123?token=%5BREDACTED%5D&page=2', status: 200 })
+			]);
+			expect(typeof entry.attempts[0].latency).toBe('number');
+			expect(entry).not.toHaveProperty('body');
+		});
+
+		it('logs request bodies with sensitive fields redacted when enabled', async () => {
+			const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+			env.PROXY_SETTINGS = { logging: { body: true, redact: ['password'] } };
+			global.fetch = vi.fn().mockResolvedValueOnce(new Response('OK', { status: 200 }));
+
+			await send(new Request('http://example.com/p/123', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ user: 'ada', password: 'hunter2', nested: { oldPassword: 'x' } })
+			}));
+
+			expect(getLogEntry(log).body).toEqual({
+				user: 'ada',
+				password: '[REDACTED]',
+				nested: { oldPassword: '[REDACTED]' }
+			});
+		});
+
+		it('adds the request ID to errors raised by the proxy and can be turned off', async () => {
+			const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+			env.PROXY_SETTINGS = { logging: { enabled: false } };
+			global.fetch = vi.fn().mockResolvedValueOnce(new Response('OK', { status: 200 }));
+
+			const response = await send(new Request('http://example.com/p/123'));
+
+			expect(response.headers.get('X-Proxy-Request-Id')).toMatch(/^[0-9a-f-]{36}$/);
+			expect(response.headers.get('X-Proxy-Attempts')).toBe('1');
+			expect(log).not.toHaveBeenCalled();
+
+			const missing = await send(new Request('http://example.com/'));
+			expect(missing.headers.get('X-Proxy-Request-Id')).toBe((await missing.json()).error.requestId);
+			expect(missing.headers.get('X-Proxy-Attempts')).toBe('0');
+			expect(missing.headers.has('X-Proxy-Endpoint')).toBe(false);
+		});
+	});
+
+	describe('multiple n8n upstreams', () => {
+		afterEach(() => {
+			delete env.N8N_UPSTREAMS;
+			delete env.WORKFLOW_SETTINGS;
+			vi.restoreAllMocks();
+		});
+
+		async function send(path) {
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(new Request(`http://example.com${path}`), env, ctx);
+			await waitOnExecutionContext(ctx);
+			return response;
+		}
+
+		it('fails over to the next upstream when one is unreachable and skips it afterwards', async () => {
+			env.N8N_UPSTREAMS = {
+				primary: 'https://primary.n8n.example.com',
+				standby: { url: 'https://standby.n8n.example.com', weight: 0 }
+			};
+			global.fetch = vi.fn()
+				.mockRejectedValueOnce(new TypeError('Network connection lost'))
+				.mockImplementation(async () => new Response('OK', { status: 200 }));
+
+			const response = await send('/p/123');
+
+			expect(response.status).toBe(200);
+			expect(response.headers.get('X-Proxy-Attempts')).toBe('2');
+			expect(global.fetch.mock.calls[0][0].url).toBe('https://primary.n8n.example.com/webhook/123');
+			const failover = global.fetch.mock.calls[1][0];
+			expect(failover.url).toBe('https://standby.n8n.example.com/webhook/123');
+			expect(failover.headers.get('host')).toBe('standby.n8n.example.com');
+
+			// The dead upstream is skipped until its cooldown has passed
+			await send('/p/123');
+			expect(global.fetch).toHaveBeenCalledTimes(3);
+			expect(global.fetch.mock.calls[2][0].url).toBe('https://standby.n8n.example.com/webhook/123');
+		});
+
+		it('fails over when the upstream answers with a gateway error', async () => {
+			env.N8N_UPSTREAMS = { 'gateway-a': 'https://a.n8n.example.com', 'gateway-b': 'https://b.n8n.example.com' };
+			vi.spyOn(Math, 'random').mockReturnValue(0);
+			global.fetch = vi.fn()
+				.mockResolvedValueOnce(new Response('Bad gateway', { status: 502 }))
+				.mockResolvedValueOnce(new Response('OK', { status: 200 }));
+
+			const response = await send('/p/123');
+
+			expect(response.status).toBe(200);
+			expect(global.fetch.mock.calls[1][0].url).toBe('https://b.n8n.example.com/webhook/123');
+		});
+
+		it('does not send a POST that n8n may have run to the next upstream', async () => {
+			env.N8N_UPSTREAMS = {
+				'post-primary': 'https://primary.n8n.example.com',
+				'post-standby': { url: 'https://standby.n8n.example.com', weight: 0 }
+			};
+			env.WORKFLOW_SETTINGS = { 'post-1': { timeout: { attempt: 20 } } };
+			const post = async () => {
+				const ctx = createExecutionContext();
+				const response = await worker.fetch(new Request('http://example.com/p/post-1', { method: 'POST', body: '{}' }), env, ctx);
+				await waitOnExecutionContext(ctx);
+				return response;
+			};
+
+			// A 503 answered through "Respond to Webhook" is returned and does not put the instance on cooldown
+			global.fetch = vi.fn().mockResolvedValueOnce(new Response('Busy', { status: 503 }));
+			expect((await post()).status).toBe(503);
+			expect(global.fetch).toHaveBeenCalledTimes(1);
+
+			// Cloudflare answering that the instance is unreachable means the request never ran
+			global.fetch = vi.fn()
+				.mockResolvedValueOnce(new Response('Origin is unreachable', { status: 523 }))
+				.mockImplementation(async () => new Response('OK', { status: 200 }));
+			expect((await post()).status).toBe(200);
+			expect(global.fetch.mock.calls[1][0].url).toBe('https://standby.n8n.example.com/webhook/post-1');
+
+			// A timed-out attempt may still be running
+			global.fetch = vi.fn().mockImplementationOnce((upstreamRequest) => new Promise((resolve, reject) => {
+				upstreamRequest.signal.addEventListener('abort', () => reject(new Error('The operation was aborted')));
+			}));
+			expect((await post()).status).toBe(504);
+			expect(global.fetch).toHaveBeenCalledTimes(1);
+		});
+
+		it('fails over non-idempotent requests on gateway errors when the route opts in', async () => {
+			env.N8N_UPSTREAMS = {
+				'opt-in-primary': 'https://primary.n8n.example.com',
+				'opt-in-standby': { url: 'https://standby.n8n.example.com', weight: 0 }
+			};
+			env.WORKFLOW_SETTINGS = { 'post-2': { retry: { maxAttempts: 1, nonIdempotent: true } } };
+			global.fetch = vi.fn()
+				.mockResolvedValueOnce(new Response('Busy', { status: 503 }))
+				.mockResolvedValueOnce(new Response('OK', { status: 200 }));
+
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(new Request('http://example.com/p/post-2', { method: 'POST', body: '{}' }), env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(200);
+			expect(global.fetch.mock.calls[1][0].url).toBe('https://standby.n8n.example.com/webhook/post-2');
+		});
+
+		it('serves a workflow from the upstreams selected for its route', async () => {
+			env.N8N_UPSTREAMS = { production: 'https://n8n.example.com', staging: 'https://staging.n8n.example.com' };
+			env.WORKFLOW_SETTINGS = { 'staging-flow': { upstreams: ['staging'] } };
+			global.fetch = vi.fn().mockImplementation(async () => new Response('OK', { status: 200 }));
+
+			await send('/p/staging-flow');
+			expect(global.fetch.mock.calls[0][0].url).toBe('https://staging.n8n.example.com/webhook/staging-flow');
+		});
+
+		it('routes traffic by weight for canaries', async () => {
+			env.N8N_UPSTREAMS = {
+				stable: { url: 'https://n8n.example.com', weight: 90 },
+				canary: { url: 'https://canary.n8n.example.com', weight: 10 }
+			};
+			global.fetch = vi.fn().mockImplementation(async () => new Response('OK', { status: 200 }));
+			const random = vi.spyOn(Math, 'random');
+
+			random.mockReturnValue(0.5);
+			await send('/p/123');
+			random.mockReturnValue(0.95);
+			await send('/p/123');
+
+			expect(global.fetch.mock.calls[0][0].url).toBe('https://n8n.example.com/webhook/123');
+			expect(global.fetch.mock.calls[1][0].url).toBe('https://canary.n8n.example.com/webhook/123');
+		});
+
+		it('rejects routes that refer to an unknown upstream', async () => {
+			env.N8N_UPSTREAMS = { production: 'https://n8n.example.com' };
+			env.WORKFLOW_SETTINGS = { 'staging-flow': { upstreams: ['staging'] } };
+
+			const response = await send('/p/123');
+
+			expect(response.status).toBe(500);
+			expect((await response.json()).error.code).toBe('configuration-error');
+		});
+	});
+
+	describe('circuit breaker', () => {
+		afterEach(() => {
+			delete env.WORKFLOW_SETTINGS;
+			delete env.ADMIN_TOKEN;
+		});
+
+		async function send(path, init) {
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(new Request(`http://example.com${path}`, init), env, ctx);
+			await waitOnExecutionContext(ctx);
+			return response;
+		}
+
+		it('fails fast with 503 once an endpoint failed too often', async () => {
+			env.WORKFLOW_SETTINGS = { 'breaker-1': { circuitBreaker: { failures: 2, cooldown: 60 } } };
+			global.fetch = vi.fn().mockImplementation(async () => new Response('Broken', { status: 500 }));
+
+			expect((await send('/p/breaker-1')).status).toBe(500);
+			expect((await send('/p/breaker-1')).status).toBe(500);
+
+			const response = await send('/p/breaker-1');
+			expect(response.status).toBe(503);
+			expect(response.headers.get('Retry-After')).toBe('60');
+			expect((await response.json()).error.code).toBe('circuit-open');
+			expect(global.fetch).toHaveBeenCalledTimes(2);
+		});
+
+		it('short-circuits straight to the fallback endpoint while open', async () => {
+			env.WORKFLOW_SETTINGS = { 'breaker-2': { circuitBreaker: { failures: 1 } } };
+			global.fetch = vi.fn()
+				.mockResolvedValueOnce(new Response('Broken', { status: 500 }))
+				.mockImplementation(async () => new Response('OK', { status: 200 }));
+
+			expect((await send('/pt/breaker-2')).status).toBe(200);
+			expect((await send('/pt/breaker-2')).status).toBe(200);
+
+			expect(global.fetch.mock.calls.map(([request]) => new URL(request.url).pathname)).toEqual([
+				'/webhook/breaker-2',
+				'/webhook-test/breaker-2',
+				'/webhook-test/breaker-2'
+			]);
+		});
+
+		it('lets a probe through after the cooldown and closes again when it succeeds', async () => {
+			env.WORKFLOW_SETTINGS = { 'breaker-3': { circuitBreaker: { failures: 1, cooldown: 0.05 } } };
+			global.fetch = vi.fn()
+				.mockResolvedValueOnce(new Response('Broken', { status: 500 }))
+				.mockImplementation(async () => new Response('OK', { status: 200 }));
+
+			await send('/p/breaker-3');
+			expect((await send('/p/breaker-3')).status).toBe(503);
+
+			await new Promise((resolve) => setTimeout(resolve, 100));
+			expect((await send('/p/breaker-3')).status).toBe(200);
+			expect((await send('/p/breaker-3')).status).toBe(200);
+			expect(global.fetch).toHaveBeenCalledTimes(3);
+		});
+
+		it('lists breaker states on the admin endpoint', async () => {
+			env.ADMIN_TOKEN = 'admin-secret';
+			env.WORKFLOW_SETTINGS = { 'breaker-4': { circuitBreaker: { failures: 1 } } };
+			global.fetch = vi.fn().mockImplementation(async () => new Response('Broken', { status: 500 }));
+
+			await send('/p/breaker-4');
+
+			const response = await send('/_admin/breakers', { headers: { Authorization: 'Bearer admin-secret' } });
+			expect(response.status).toBe(200);
+			const { breakers } = await response.json();
+			expect(breakers).toContainEqual(expect.objectContaining({
+				workflowId: 'breaker-4',
+				endpoint: WEBHOOK_TYPES.PRODUCTION,
+				state: 'open',
+				failures: 1
+			}));
+		});
+	});
+
+	describe('admin API', () => {
+		beforeEach(() => {
+			env.ADMIN_TOKEN = 'admin-secret';
+		});
+
+		afterEach(() => {
+			delete env.ADMIN_TOKEN;
+		});
+
+		async function send(path, { method = 'GET', body, admin = true } = {}) {
+			const ctx = createExecutionContext();
+			const request = new Request(`http://example.com${path}`, {
+				method,
+				headers: admin ? { Authorization: 'Bearer admin-secret' } : {},
+				body: body === undefined ? undefined : JSON.stringify(body)
+			});
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+			return response;
+		}
+
+		it('requires the admin token', async () => {
+			const response = await send('/_admin/routes', { admin: false });
+			expect(response.status).toBe(401);
+		});
+
+		it('creates, lists, updates and deletes route aliases without a redeploy', async () => {
+			global.fetch = vi.fn().mockImplementation(async () => new Response('OK', { status: 200 }));
+
+			const created = await send('/_admin/routes/orders', {
+				method: 'PUT',
+				body: { target: 'order-flow', strategy: 'pt', methods: ['POST'] }
+			});
+			expect(created.status).toBe(200);
+
+			const listed = await (await send('/_admin/routes')).json();
+			expect(listed.routes.orders).toEqual({ target: 'order-flow', strategy: 'pt', methods: ['POST'], source: 'kv' });
+
+			expect((await send('/hooks/orders', { method: 'POST', admin: false })).status).toBe(200);
+			expect(global.fetch.mock.calls[0][0].url).toBe('https://n8n.example.com/webhook/order-flow');
+
+			await send('/_admin/routes/orders', { method: 'PUT', body: { target: 'order-flow', strategy: 't' } });
+			await send('/hooks/orders', { method: 'POST', admin: false });
+			expect(global.fetch.mock.calls[1][0].url).toBe('https://n8n.example.com/webhook-test/order-flow');
+
+			expect(await (await send('/_admin/routes/orders', { method: 'DELETE' })).json()).toEqual({ deleted: true });
+			expect((await send('/_admin/routes/orders')).status).toBe(404);
+			expect((await send('/hooks/orders', { method: 'POST', admin: false })).status).toBe(404);
+		});
+
+		it('validates routes before saving them', async () => {
+			const response = await send('/_admin/routes/broken', {
+				method: 'PUT',
+				body: { target: '', strategy: 'x', timeout: { attempt: -1 }, auth: { type: 'magic' } }
+			});
+
+			expect(response.status).toBe(422);
+			const { error } = await response.json();
+			expect(error.code).toBe('invalid-configuration');
+			expect(error.errors).toEqual([
+				'target: a webhook ID is required',
+				"strategy: unknown strategy 'x'",
+				"auth: unknown type 'magic'",
+				'timeout.attempt: must be a positive number'
+			]);
+			expect(await env.PROXY_CONFIG.get('route:broken')).toBeNull();
+		});
+
+		it('rejects delivery settings the queue cannot honour', async () => {
+			const response = await send('/_admin/routes/queued', {
+				method: 'PUT',
+				body: { target: 'order-flow', delivery: { strategy: 'a', maxRetries: 10 } }
+			});
+
+			expect(response.status).toBe(422);
+			expect((await response.json()).error.errors).toEqual([
+				"delivery.strategy: unknown strategy 'a'",
+				'delivery.maxRetries: must be an integer from 0 to 9'
+			]);
+		});
+
+		it('toggles maintenance mode per workflow', async () => {
+			global.fetch = vi.fn().mockImplementation(async () => new Response('OK', { status: 200 }));
+
+			await send('/_admin/maintenance/123', { method: 'PUT', body: { enabled: true, retryAfter: 120 } });
+			expect((await (await send('/_admin/maintenance')).json()).workflows['123']).toMatchObject({ enabled: true });
+
+			const response = await send('/p/123', { admin: false });
+			expect(response.status).toBe(503);
+			expect(response.headers.get('Retry-After')).toBe('120');
+			expect((await response.json()).error.code).toBe('maintenance');
+			expect(global.fetch).not.toHaveBeenCalled();
+
+			await send('/_admin/maintenance/123', { method: 'PUT', body: { enabled: false } });
+			expect((await send('/p/123', { admin: false })).status).toBe(200);
+		});
+
+		it('shows recent request stats per workflow', async () => {
+			global.fetch = vi.fn()
+				.mockResolvedValueOnce(new Response('Not registered', { status: 404 }))
+				.mockImplementation(async () => new Response('OK', { status: 200 }));
+
+			await send('/tp/stats-flow', { admin: false });
+			await send('/p/stats-flow', { admin: false });
+
+			const stats = await (await send('/_admin/stats/stats-flow')).json();
+			expect(stats).toMatchObject({
+				workflowId: 'stats-flow',
+				window: 3600,
+				requests: 2,
+				errors: 0,
+				fallbacks: 1,
+				statuses: { 200: 2 }
+			});
+		});
+	});
+
+	describe('maintenance mode and static responses', () => {
+		afterEach(() => {
+			delete env.PROXY_SETTINGS;
+			delete env.WORKFLOW_SETTINGS;
+			delete env.ADMIN_TOKEN;
+		});
+
+		async function send(path, init) {
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(new Request(`http://example.com${path}`, init), env, ctx);
+			await waitOnExecutionContext(ctx);
+			return response;
+		}
+
+		it('answers every workflow with the configured response during a global maintenance', async () => {
+			env.PROXY_SETTINGS = {
+				maintenance: {
+					enabled: true,
+					status: 503,
+					headers: { 'X-Maintenance': 'upgrade' },
+					html: '<h1>Back soon</h1>',
+					retryAfter: 300
+				}
+			};
+			global.fetch = vi.fn();
+
+			const response = await send('/tp/123');
+
+			expect(response.status).toBe(503);
+			expect(response.headers.get('Content-Type')).toBe('text/html; charset=utf-8');
+			expect(response.headers.get('X-Maintenance')).toBe('upgrade');
+			expect(response.headers.get('Retry-After')).toBe('300');
+			expect(await response.text()).toBe('<h1>Back soon</h1>');
+			expect(global.fetch).not.toHaveBeenCalled();
+		});
+
+		it('puts single workflows into maintenance', async () => {
+			env.WORKFLOW_SETTINGS = { 'upgrading-flow': { maintenance: { enabled: true, status: 200, json: { queued: false } } } };
+			global.fetch = vi.fn().mockImplementation(async () => new Response('OK', { status: 200 }));
+
+			const response = await send('/p/upgrading-flow');
+			expect(response.status).toBe(200);
+			expect(await response.json()).toEqual({ queued: false });
+
+			expect(await (await send('/p/123')).text()).toBe('OK');
+			expect(global.fetch).toHaveBeenCalledTimes(1);
+		});
+
+		it('captures payloads during maintenance and replays them when it ends', async () => {
+			env.ADMIN_TOKEN = 'admin-secret';
+			const admin = { Authorization: 'Bearer admin-secret' };
+			global.fetch = vi.fn().mockImplementation(async () => new Response('OK', { status: 200 }));
+
+			await send('/_admin/maintenance/capture-flow', {
+				method: 'PUT',
+				headers: admin,
+				body: JSON.stringify({ enabled: true, capture: true })
+			});
+
+			const response = await send('/p/capture-flow?source=shop', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ order: 7 })
+			});
+			expect(response.status).toBe(503);
+			expect((await response.json()).error.code).toBe('maintenance');
+			const deliveryId = response.headers.get('X-Proxy-Delivery-Id');
+			expect(await (await send(`/_deliveries/${deliveryId}`)).json()).toMatchObject({ status: 'held' });
+
+			const ended = await send('/_admin/maintenance/capture-flow', {
+				method: 'PUT',
+				headers: admin,
+				body: JSON.stringify({ enabled: false })
+			});
+			expect(await ended.json()).toMatchObject({ enabled: false, replayed: 1 });
+			expect(await (await send(`/_deliveries/${deliveryId}`)).json()).toMatchObject({ status: 'queued' });
+
+			const batch = createMessageBatch('n8n-deliveries', [
+				{ id: 'message-capture', timestamp: new Date(), attempts: 1, body: { id: deliveryId } }
+			]);
+			const ctx = createExecutionContext();
+			await worker.queue(batch, env, ctx);
+			await getQueueResult(batch, ctx);
+
+			const forwarded = global.fetch.mock.calls[0][0];
+			expect(forwarded.url).toBe('https://n8n.example.com/webhook/capture-flow?source=shop');
+			expect(await forwarded.json()).toEqual({ order: 7 });
+		});
+
+		it('rejects invalid maintenance responses', async () => {
+			env.ADMIN_TOKEN = 'admin-secret';
+
+			const response = await send('/_admin/maintenance/*', {
+				method: 'PUT',
+				headers: { Authorization: 'Bearer admin-secret' },
+				body: JSON.stringify({ enabled: true, status: 99, json: {}, html: '' })
+			});
+
+			expect(response.status).toBe(422);
+			expect((await response.json()).error.errors).toEqual([
+				'maintenance.status: must be an HTTP status between 200 and 599',
+				'maintenance: only one of json, html and text can be set'
+			]);
+		});
+
+		it('serves the static fallback response when every attempt fails', async () => {
+			env.PROXY_SETTINGS = { fallbackResponse: { status: 202, json: { accepted: true, retry: 'later' } } };
+			global.fetch = vi.fn()
+				.mockResolvedValueOnce(new Response('Broken', { status: 500 }))
+				.mockRejectedValueOnce(new TypeError('Network connection lost'));
+
+			const response = await send('/pt/123');
+
+			expect(response.status).toBe(202);
+			expect(await response.json()).toEqual({ accepted: true, retry: 'later' });
+			expect(response.headers.get('X-Proxy-Attempts')).toBe('2');
+		});
+	});
+
+	describe('payload validation', () => {
+		const schema = {
+			type: 'object',
+			required: ['email', 'quantity'],
+			properties: {
+				email: { type: 'string', format: 'email' },
+				quantity: { type: 'integer', minimum: 1 },
+				tags: { type: 'array', items: { type: 'string' }, maxItems: 2 }
+			},
+			additionalProperties: false
+		};
+
+		beforeEach(() => {
+			env.PROXY_SETTINGS = { validation: { schema, maxSize: 1024 } };
+			global.fetch = vi.fn().mockImplementation(async () => new Response('OK', { status: 200 }));
+		});
+
+		afterEach(() => {
+			delete env.PROXY_SETTINGS;
+		});
+
+		async function send(body, contentType = 'application/json') {
+			const ctx = createExecutionContext();
+			const headers = contentType ? { 'Content-Type': contentType } : {};
+			const response = await worker.fetch(new Request('http://example.com/p/123', { method: 'POST', headers, body }), env, ctx);
+			await waitOnExecutionContext(ctx);
+			return response;
+		}
+
+		it('forwards valid JSON payloads', async () => {
+			const response = await send(JSON.stringify({ email: 'ada@example.com', quantity: 2, tags: ['a'] }));
+
+			expect(response.status).toBe(200);
+			expect(global.fetch).toHaveBeenCalledTimes(1);
+		});
+
+		it('rejects payloads that do not match the schema with 422 and every error', async () => {
+			const response = await send(JSON.stringify({ email: 'not-an-email', quantity: 1.5, tags: ['a', 'b', 3], extra: true }));
+
+			expect(response.status).toBe(422);
+			const { error } = await response.json();
+			expect(error.code).toBe('invalid-payload');
+			expect(error.errors).toEqual([
+				'/email: must be a valid email',
+				'/quantity: must be integer',
+				'/tags: must have at most 2 items',
+				'/tags/2: must be string',
+				'/extra: is not allowed'
+			]);
+			expect(global.fetch).not.toHaveBeenCalled();
+		});
+
+		it('compares enum and const values regardless of key order', async () => {
+			env.PROXY_SETTINGS = {
+				validation: {
+					schema: {
+						type: 'object',
+						properties: { range: { const: { a: 1, b: [1, { c: 2, d: 3 }] } }, mode: { enum: [{ x: 1, y: 2 }, 'off'] } }
+					}
+				}
+			};
+
+			expect((await send(JSON.stringify({ range: { b: [1, { d: 3, c: 2 }], a: 1 }, mode: { y: 2, x: 1 } }))).status).toBe(200);
+			const response = await send(JSON.stringify({ range: { a: 1, b: [{ c: 2, d: 3 }, 1] }, mode: { x: 1 } }));
+			expect(response.status).toBe(422);
+			expect((await response.json()).error.errors).toEqual([
+				'/range: must be {"a":1,"b":[1,{"c":2,"d":3}]}',
+				'/mode: must be one of {"x":1,"y":2}, "off"'
+			]);
+		});
+
+		it('rejects malformed bodies with 400', async () => {
+			const response = await send('{"email": ');
+
+			expect(response.status).toBe(400);
+			expect((await response.json()).error.message).toBe('Request body is not valid application/json');
+		});
+
+		it('validates form-urlencoded and multipart bodies as objects', async () => {
+			env.PROXY_SETTINGS = {
+				validation: {
+					schema: {
+						type: 'object',
+						required: ['name', 'attachment'],
+						properties: { name: { type: 'string', minLength: 2 }, attachment: { type: 'object', required: ['filename'] } }
+					}
+				}
+			};
+
+			const form = new FormData();
+			form.append('name', 'Ada');
+			form.append('attachment', new File(['hello'], 'hello.txt', { type: 'text/plain' }));
+			expect((await send(form, null)).status).toBe(200);
+
+			const response = await send('name=A', 'application/x-www-form-urlencoded');
+			expect(response.status).toBe(422);
+			expect((await response.json()).error.errors).toEqual([
+				'/attachment: is required',
+				'/name: must have at least 2 characters'
+			]);
+		});
+
+		it('checks the content type and size before parsing', async () => {
+			expect((await send('<order/>', 'application/xml')).status).toBe(415);
+			expect((await send(JSON.stringify({ email: 'a'.repeat(2000) }))).status).toBe(413);
+			expect(global.fetch).not.toHaveBeenCalled();
+		});
+
+		it('rejects schemas with invalid patterns when they are saved and when they are used', async () => {
+			env.ADMIN_TOKEN = 'admin-secret';
+			try {
+				const schemaWithBadPattern = { type: 'object', properties: { code: { type: 'string', pattern: '(' } } };
+				const saved = await worker.fetch(new Request('http://example.com/_admin/routes/bad', {
+					method: 'PUT',
+					headers: { Authorization: 'Bearer admin-secret' },
+					body: JSON.stringify({ target: 'abc', validation: { schema: schemaWithBadPattern } })
+				}), env, createExecutionContext());
+				expect(saved.status).toBe(422);
+				expect((await saved.json()).error.errors).toEqual(["validation.schema/properties/code: invalid pattern '('"]);
+
+				env.PROXY_SETTINGS = { validation: { schema: schemaWithBadPattern } };
+				const response = await send(JSON.stringify({ code: 'x' }));
+				expect(response.status).toBe(500);
+				expect((await response.json()).error.code).toBe('configuration-error');
+				expect(global.fetch).not.toHaveBeenCalled();
+			} finally {
+				delete env.ADMIN_TOKEN;
+			}
+		});
+	});
+
+	describe('CORS', () => {
+		beforeEach(() => {
+			env.PROXY_SETTINGS = {
+				cors: {
+					origins: ['https://app.example.com', 'https://*.preview.example.com'],
+					methods: ['POST'],
+					headers: ['Content-Type', 'X-Api-Key'],
+					exposeHeaders: ['X-Proxy-Request-Id'],
+					credentials: true,
+					maxAge: 600
+				}
+			};
+			global.fetch = vi.fn().mockImplementation(async () => new Response('OK', { status: 200 }));
+		});
+
+		afterEach(() => {
+			delete env.PROXY_SETTINGS;
+		});
+
+		async function send(method, origin, headers = {}) {
+			const ctx = createExecutionContext();
+			const request = new Request('http://example.com/p/123', { method, headers: { Origin: origin, ...headers } });
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+			return response;
+		}
+
+		it('answers preflights in the worker without calling n8n', async () => {
+			const response = await send('OPTIONS', 'https://app.example.com', { 'Access-Control-Request-Method': 'POST' });
+
+			expect(response.status).toBe(204);
+			expect(response.headers.get('Access-Control-Allow-Origin')).toBe('https://app.example.com');
+			expect(response.headers.get('Access-Control-Allow-Methods')).toBe('POST');
+			expect(response.headers.get('Access-Control-Allow-Headers')).toBe('Content-Type, X-Api-Key');
+			expect(response.headers.get('Access-Control-Allow-Credentials')).toBe('true');
+			expect(response.headers.get('Access-Control-Max-Age')).toBe('600');
+			expect(global.fetch).not.toHaveBeenCalled();
+		});
+
+		it('matches wildcard origins and rejects unknown ones', async () => {
+			const preview = await send('OPTIONS', 'https://pr-42.preview.example.com', { 'Access-Control-Request-Method': 'POST' });
+			expect(preview.status).toBe(204);
+
+			const rejected = await send('OPTIONS', 'https://evil.example.org', { 'Access-Control-Request-Method': 'POST' });
+			expect(rejected.status).toBe(403);
+			expect(rejected.headers.has('Access-Control-Allow-Origin')).toBe(false);
+			expect((await rejected.json()).error.code).toBe('origin-not-allowed');
+			expect(global.fetch).not.toHaveBeenCalled();
+		});
+
+		it('adds CORS headers to proxied responses alongside the cache headers', async () => {
+			const response = await send('POST', 'https://app.example.com');
+
+			expect(response.status).toBe(200);
+			expect(response.headers.get('Access-Control-Allow-Origin')).toBe('https://app.example.com');
+			expect(response.headers.get('Access-Control-Expose-Headers')).toBe('X-Proxy-Request-Id');
+			expect(response.headers.get('Vary')).toBe('Origin');
+			expect(response.headers.get('Cache-Control')).toBe('no-store, no-cache, must-revalidate, proxy-revalidate');
+
+			const foreign = await send('POST', 'https://evil.example.org');
+			expect(foreign.headers.has('Access-Control-Allow-Origin')).toBe(false);
+		});
+	});
+
+	describe('request and response transforms', () => {
+		beforeEach(() => {
+			global.fetch = vi.fn().mockImplementation(async () => new Response(JSON.stringify({ ok: true }), { status: 200 }));
+		});
+
+		afterEach(() => {
+			delete env.WORKFLOW_SETTINGS;
+		});
+
+		async function send(url, init) {
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(new Request(url, init), env, ctx);
+			await waitOnExecutionContext(ctx);
+			return response;
+		}
+
+		it('converts XML bodies to JSON and unwraps the envelope', async () => {
+			env.WORKFLOW_SETTINGS = {
+				'xml-1': { transform: { request: { body: { convert: 'json', unwrap: 'Envelope.Body' } } } }
+			};
+			const xml = `<?xml version="1.0"?>
+				<Envelope><Body>
+					<order id="7"><item>a &amp; b</item><item><![CDATA[<c>]]></item></order>
+				</Body></Envelope>`;
+
+			const response = await send('http://example.com/p/xml-1', { method: 'POST', headers: { 'Content-Type': 'text/xml' }, body: xml });
+
+			expect(response.status).toBe(200);
+			const upstream = global.fetch.mock.calls[0][0];
+			expect(upstream.headers.get('content-type')).toBe('application/json');
+			expect(await upstream.json()).toEqual({ order: { '@id': '7', item: ['a & b', '<c>'] } });
+		});
+
+		it('rewrites the method, path, query and headers before calling n8n', async () => {
+			env.WORKFLOW_SETTINGS = {
+				'rewrite-1': {
+					transform: {
+						request: {
+							method: 'post',
+							path: '{{path}}/v2',
+							query: { set: { source: '{{query.from}}' }, remove: ['from'] },
+							headers: { set: { 'X-Event': '{{headers.x-github-event}}' }, remove: ['X-Debug'] },
+							body: { convert: 'json', template: { event: '{{headers.x-github-event}}', payload: '{{body}}' } }
+						}
+					}
+				}
+			};
+
+			await send('http://example.com/p/rewrite-1?from=github&keep=1', {
+				method: 'PUT',
+				headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'X-GitHub-Event': 'push', 'X-Debug': '1' },
+				body: 'ref=main'
+			});
+
+			const upstream = global.fetch.mock.calls[0][0];
+			expect(upstream.method).toBe('POST');
+			expect(upstream.url).toBe('https://n8n.example.com/webhook/rewrite-1/v2?keep=1&source=github');
+			expect(upstream.headers.get('X-Event')).toBe('push');
+			expect(upstream.headers.has('X-Debug')).toBe(false);
+			expect(await upstream.json()).toEqual({ event: 'push', payload: { ref: 'main' } });
+		});
+
+		it('keeps API keys passed in the query away from templates and n8n', async () => {
+			env.PROXY_API_KEYS = 'secret-key';
+			env.WORKFLOW_SETTINGS = {
+				'123': {
+					auth: { type: 'api-key', keys: 'PROXY_API_KEYS', query: 'api_key' },
+					transform: { request: { headers: { set: { 'X-Query': 'a={{query.a}} key={{query.api_key}}' } } } }
+				}
+			};
+			try {
+				const response = await send('http://example.com/p/123?api_key=secret-key&a=1');
+
+				expect(response.status).toBe(200);
+				const upstream = global.fetch.mock.calls[0][0];
+				expect(upstream.url).toBe('https://n8n.example.com/webhook/123?a=1');
+				expect(upstream.headers.get('X-Query')).toBe('a=1 key=');
+			} finally {
+				delete env.PROXY_API_KEYS;
+			}
+		});
+
+		it('rejects transformed paths that climb out of the webhook path', async () => {
+			env.WORKFLOW_SETTINGS = {
+				'rewrite-2': { transform: { request: { path: 'rewrite-2/{{query.kind}}' } } }
+			};
+
+			for (const kind of ['..', '%2e%2E', '.%2E/..\\admin', '..%2Fother']) {
+				const response = await send(`http://example.com/p/rewrite-2?kind=${encodeURIComponent(kind)}`);
+				expect(response.status).toBe(400);
+				expect((await response.json()).error.message).toMatch(/^Request could not be transformed: the path '.*' is not allowed$/);
+			}
+			expect(global.fetch).not.toHaveBeenCalled();
+		});
+
+		it('answers Slack URL verification with the echoed challenge and a fixed 200', async () => {
+			env.WORKFLOW_SETTINGS = {
+				'slack-1': { transform: { response: { status: 200, body: '{{request.body.challenge}}' } } }
+			};
+			global.fetch = vi.fn().mockImplementation(async () => new Response('Accepted', { status: 202 }));
+
+			const response = await send('http://example.com/p/slack-1', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ type: 'url_verification', challenge: 'abc123' })
+			});
+
+			expect(response.status).toBe(200);
+			expect(response.headers.get('Content-Type')).toBe('text/plain; charset=utf-8');
+			expect(await response.text()).toBe('abc123');
+		});
+
+		it('maps failure statuses and templates JSON bodies from the response', async () => {
+			env.WORKFLOW_SETTINGS = {
+				'ack-1': {
+					transform: {
+						response: {
+							status: { '5xx': 200 },
+							headers: { set: { 'X-Workflow': '{{workflowId}}' } },
+							body: { received: true, upstreamStatus: '{{response.status}}' }
+						}
+					}
+				}
+			};
+			global.fetch = vi.fn().mockImplementation(async () => new Response('Bad gateway', { status: 502 }));
+
+			const response = await send('http://example.com/p/ack-1', { method: 'POST', body: 'x' });
+
+			expect(response.status).toBe(200);
+			expect(response.headers.get('X-Workflow')).toBe('ack-1');
+			expect(await response.json()).toEqual({ received: true, upstreamStatus: 502 });
+		});
+
+		it('rejects bodies that cannot be converted with 400', async () => {
+			env.WORKFLOW_SETTINGS = { 'xml-2': { transform: { request: { body: { convert: 'json' } } } } };
+
+			const response = await send('http://example.com/p/xml-2', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/xml' },
+				body: '<order><item></order>'
+			});
+
+			expect(response.status).toBe(400);
+			expect((await response.json()).error.code).toBe('bad-request');
+			expect(global.fetch).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('idempotency keys', () => {
+		beforeEach(() => {
+			let executions = 0;
+			global.fetch = vi.fn().mockImplementation(async () => Response.json({ execution: ++executions }));
+		});
+
+		afterEach(() => {
+			delete env.WORKFLOW_SETTINGS;
+		});
+
+		async function send(workflowId, headers = {}, body = '{}') {
+			const ctx = createExecutionContext();
+			const request = new Request(`http://example.com/p/${workflowId}`, {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json', ...headers },
+				body
+			});
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+			return response;
+		}
+
+		it('returns the stored response for repeated Idempotency-Key headers', async () => {
+			env.WORKFLOW_SETTINGS = { 'idem-1': { idempotency: {} } };
+
+			const first = await send('idem-1', { 'Idempotency-Key': 'evt-1' });
+			const repeat = await send('idem-1', { 'Idempotency-Key': 'evt-1' });
+			const other = await send('idem-1', { 'Idempotency-Key': 'evt-2' });
+
+			expect(await first.json()).toEqual({ execution: 1 });
+			expect(first.headers.has('X-Proxy-Idempotent-Replay')).toBe(false);
+			expect(await repeat.json()).toEqual({ execution: 1 });
+			expect(repeat.headers.get('X-Proxy-Idempotent-Replay')).toBe('true');
+			expect(await other.json()).toEqual({ execution: 2 });
+			expect(global.fetch).toHaveBeenCalledTimes(2);
+		});
+
+		it('queues an async delivery only once per key', async () => {
+			env.WORKFLOW_SETTINGS = { 'idem-async': { idempotency: {} } };
+			const send = async () => {
+				const ctx = createExecutionContext();
+				const request = new Request('http://example.com/a/idem-async', {
+					method: 'POST',
+					headers: { 'Content-Type': 'application/json', 'Idempotency-Key': 'evt-async' },
+					body: '{}'
+				});
+				const response = await worker.fetch(request, env, ctx);
+				await waitOnExecutionContext(ctx);
+				return response;
+			};
+
+			const first = await send();
+			const repeat = await send();
+
+			expect(first.status).toBe(202);
+			expect(repeat.status).toBe(202);
+			expect(repeat.headers.get('X-Proxy-Idempotent-Replay')).toBe('true');
+			expect((await repeat.json()).deliveryId).toBe((await first.json()).deliveryId);
+		});
+
+		it('reads the key from a JSON path such as the Stripe event id', async () => {
+			env.WORKFLOW_SETTINGS = { 'stripe-1': { idempotency: { path: 'id' } } };
+			const event = JSON.stringify({ id: 'evt_123', type: 'invoice.paid' });
+
+			await send('stripe-1', {}, event);
+			const repeat = await send('stripe-1', {}, event);
+
+			expect(repeat.headers.get('X-Proxy-Idempotent-Replay')).toBe('true');
+			expect(global.fetch).toHaveBeenCalledTimes(1);
+		});
+
+		it('lets concurrent duplicates wait for the request in flight', async () => {
+			env.WORKFLOW_SETTINGS = { 'idem-2': { idempotency: { header: 'X-GitHub-Delivery' } } };
+			let release;
+			global.fetch = vi.fn().mockImplementation(async () => {
+				await new Promise((resolve) => (release = resolve));
+				return Response.json({ execution: 1 });
+			});
+
+			const first = send('idem-2', { 'X-GitHub-Delivery': 'd-1' });
+			await vi.waitFor(() => expect(global.fetch).toHaveBeenCalledTimes(1));
+			const duplicate = send('idem-2', { 'X-GitHub-Delivery': 'd-1' });
+			await new Promise((resolve) => setTimeout(resolve, 50));
+			release();
+
+			const [original, replayed] = await Promise.all([first, duplicate]);
+			expect(await original.json()).toEqual({ execution: 1 });
+			expect(await replayed.json()).toEqual({ execution: 1 });
+			expect(replayed.headers.get('X-Proxy-Idempotent-Replay')).toBe('true');
+			expect(global.fetch).toHaveBeenCalledTimes(1);
+		});
+
+		it('answers 409 when the request in flight takes longer than the wait', async () => {
+			env.WORKFLOW_SETTINGS = { 'idem-3': { idempotency: { wait: 0 } } };
+			let release;
+			global.fetch = vi.fn().mockImplementation(async () => {
+				await new Promise((resolve) => (release = resolve));
+				return Response.json({ execution: 1 });
+			});
+
+			const first = send('idem-3', { 'Idempotency-Key': 'k' });
+			await vi.waitFor(() => expect(global.fetch).toHaveBeenCalledTimes(1));
+			const conflict = await send('idem-3', { 'Idempotency-Key': 'k' });
+			release();
+			await first;
+
+			expect(conflict.status).toBe(409);
+			expect(conflict.headers.get('Retry-After')).toBe('1');
+			expect((await conflict.json()).error.code).toBe('idempotency-conflict');
+		});
+
+		it('frees the key when the delivery fails so retries run again', async () => {
+			env.WORKFLOW_SETTINGS = { 'idem-4': { idempotency: {} } };
+			global.fetch = vi.fn()
+				.mockResolvedValueOnce(new Response('Error', { status: 500 }))
+				.mockResolvedValueOnce(new Response('OK', { status: 200 }));
+
+			expect((await send('idem-4', { 'Idempotency-Key': 'k' })).status).toBe(500);
+			const retry = await send('idem-4', { 'Idempotency-Key': 'k' });
+
+			expect(retry.status).toBe(200);
+			expect(retry.headers.has('X-Proxy-Idempotent-Replay')).toBe(false);
+			expect(global.fetch).toHaveBeenCalledTimes(2);
+		});
+
+		it('does not store answers that miss the success criteria or come from the proxy', async () => {
+			env.WORKFLOW_SETTINGS = {
+				'idem-6': { idempotency: {} },
+				'idem-7': { idempotency: {}, fallbackResponse: { status: 200, json: { queued: true } } }
+			};
+			global.fetch = vi.fn().mockImplementation(async () => new Response('Not registered', { status: 404 }));
+
+			expect((await send('idem-6', { 'Idempotency-Key': 'k' })).status).toBe(404);
+			expect((await send('idem-7', { 'Idempotency-Key': 'k' })).status).toBe(200);
+
+			global.fetch = vi.fn().mockImplementation(async () => Response.json({ execution: 1 }));
+			const retries = [await send('idem-6', { 'Idempotency-Key': 'k' }), await send('idem-7', { 'Idempotency-Key': 'k' })];
+
+			expect(retries.map((response) => response.headers.has('X-Proxy-Idempotent-Replay'))).toEqual([false, false]);
+			expect(global.fetch).toHaveBeenCalledTimes(2);
+		});
+
+		it('scopes keys to the authenticated caller', async () => {
+			env.WORKFLOW_SETTINGS = { 'idem-8': { idempotency: {}, auth: { type: 'api-key', keys: 'IDEMPOTENCY_API_KEYS' } } };
+			env.IDEMPOTENCY_API_KEYS = 'key-a,key-b';
+			try {
+				await send('idem-8', { 'Idempotency-Key': 'k', 'X-Api-Key': 'key-a' });
+				const other = await send('idem-8', { 'Idempotency-Key': 'k', 'X-Api-Key': 'key-b' });
+				const repeat = await send('idem-8', { 'Idempotency-Key': 'k', 'X-Api-Key': 'key-a' });
+
+				expect(await other.json()).toEqual({ execution: 2 });
+				expect(await repeat.json()).toEqual({ execution: 1 });
+				expect(global.fetch).toHaveBeenCalledTimes(2);
+			} finally {
+				delete env.IDEMPOTENCY_API_KEYS;
+			}
+		});
+
+
+		it('falls back to PROXY_DATA without the Durable Object binding', async () => {
+			env.WORKFLOW_SETTINGS = { 'idem-5': { idempotency: { ttl: 300 } } };
+			const binding = env.IDEMPOTENCY;
+			delete env.IDEMPOTENCY;
+			try {
+				await send('idem-5', { 'Idempotency-Key': 'k' });
+				const repeat = await send('idem-5', { 'Idempotency-Key': 'k' });
+
+				expect(await repeat.json()).toEqual({ execution: 1 });
+				expect(global.fetch).toHaveBeenCalledTimes(1);
+				expect(await env.PROXY_DATA.get('idempotency:idem-5:k', 'json')).toMatchObject({ state: 'completed' });
+			} finally {
+				env.IDEMPOTENCY = binding;
+			}
+		});
+	});
+
+	describe('fan-out routes', () => {
+		beforeEach(() => {
+			env.ROUTES = {
+				'shop-orders': {
+					targets: [
+						{ target: 'audit-log' },
+						{ target: 'orders', strategy: OPTION_TYPES.PROD_THEN_TEST, primary: true }
+					]
+				},
+				'shop-report': {
+					targets: [{ target: 'audit-log' }, { target: 'orders' }],
+					respond: 'aggregate'
+				}
+			};
+		});
+
+		afterEach(() => {
+			delete env.ROUTES;
+		});
+
+		async function send(slug) {
+			const ctx = createExecutionContext();
+			const request = new Request(`http://example.com/hooks/${slug}/created`, {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ order: 42 })
+			});
+			const response = await worker.fetch(request, env, ctx);
+			return { response, done: waitOnExecutionContext(ctx) };
+		}
+
+		it('answers with the primary and delivers to the other workflows in the background', async () => {
+			let releaseAudit;
+			global.fetch = vi.fn().mockImplementation(async (request) => {
+				if (request.url.includes('/audit-log/')) {
+					await new Promise((resolve) => (releaseAudit = resolve));
+					return new Response('logged', { status: 200 });
+				}
+				return request.url.includes('/webhook/')
+					? new Response('Not registered', { status: 404 })
+					: Response.json({ accepted: true });
+			});
+
+			const { response, done } = await send('shop-orders');
+
+			// The caller gets the primary's answer, reached through its own pt strategy, before the audit log finishes
+			expect(response.status).toBe(200);
+			expect(await response.json()).toEqual({ accepted: true });
+			expect(releaseAudit).toBeTypeOf('function');
+			releaseAudit();
+			await done;
+
+			const urls = global.fetch.mock.calls.map(([request]) => request.url);
+			expect(urls).toEqual(expect.arrayContaining([
+				'https://n8n.example.com/webhook/audit-log/created',
+				'https://n8n.example.com/webhook/orders/created',
+				'https://n8n.example.com/webhook-test/orders/created'
+			]));
+			expect(await global.fetch.mock.calls.find(([request]) => request.url.includes('audit-log'))[0].json()).toEqual({ order: 42 });
+		});
+
+		it('aggregates every result as JSON', async () => {
+			global.fetch = vi.fn().mockImplementation(async (request) => request.url.includes('audit-log')
+				? new Response('logged', { status: 200 })
+				: new Response('Error', { status: 500 }));
+
+			const { response, done } = await send('shop-report');
+			await done;
+
+			expect(response.status).toBe(207);
+			expect(response.headers.get('X-Proxy-Attempts')).toBe('2');
+			expect(await response.json()).toEqual({
+				results: [
+					{ workflowId: 'audit-log', status: 200, delivered: true, body: 'logged' },
+					{ workflowId: 'orders', status: 500, delivered: false, body: 'Error' }
+				]
+			});
+		});
+
+		it('rejects invalid fan-out routes through the admin API', async () => {
+			env.ADMIN_TOKEN = 'admin-secret';
+			try {
+				const request = new Request('http://example.com/_admin/routes/broken', {
+					method: 'PUT',
+					headers: { Authorization: 'Bearer admin-secret' },
+					body: JSON.stringify({ targets: [{ target: 'a', strategy: 'a', primary: true }, { target: 'b', primary: true }], respond: 'first' })
+				});
+				const response = await worker.fetch(request, env, createExecutionContext());
+
+				expect(response.status).toBe(422);
+				expect((await response.json()).error.errors).toEqual([
+					"targets[0].strategy: unknown strategy 'a'",
+					'targets: only one target can be the primary',
+					"respond: unknown mode 'first'"
+				]);
+			} finally {
+				delete env.ADMIN_TOKEN;
+			}
+		});
+	});
+
+	describe('scheduled triggers', () => {
+		const monday = Date.UTC(2025, 5, 2, 9, 0);
+
+		beforeEach(() => {
+			env.SCHEDULES = {
+				'daily-report': {
+					cron: '0 9 * * MON-FRI',
+					target: 'report-1',
+					payload: { source: 'cron' },
+					headers: { 'X-Trigger': 'schedule' },
+					strategy: OPTION_TYPES.PROD_THEN_TEST,
+					retries: 1
+				},
+				'nightly-cleanup': { cron: '30 2 * * *', target: 'cleanup-1', method: 'GET' }
+			};
+			global.fetch = vi.fn().mockImplementation(async () => new Response('OK', { status: 200 }));
+		});
+
+		afterEach(async () => {
+			delete env.SCHEDULES;
+			await env.PROXY_DATA.delete('schedule:daily-report');
+			await env.PROXY_DATA.delete('schedule:nightly-cleanup');
+		});
+
+		async function tick(time) {
+			const controller = createScheduledController({ scheduledTime: time, cron: '* * * * *' });
+			const ctx = createExecutionContext();
+			try {
+				await worker.scheduled(controller, env, ctx);
+				return null;
+			} catch (error) {
+				return error;
+			} finally {
+				await waitOnExecutionContext(ctx);
+			}
+		}
+
+		it('calls the webhooks whose cron expression is due with their payload and strategy', async () => {
+			expect(await tick(monday)).toBeNull();
+
+			expect(global.fetch).toHaveBeenCalledTimes(1);
+			const request = global.fetch.mock.calls[0][0];
+			expect(request.url).toBe('https://n8n.example.com/webhook/report-1');
+			expect(request.method).toBe('POST');
+			expect(request.headers.get('X-Trigger')).toBe('schedule');
+			expect(await request.json()).toEqual({ source: 'cron' });
+			expect(await env.PROXY_DATA.get('schedule:daily-report', 'json')).toMatchObject({
+				scheduledTime: '2025-06-02T09:00:00.000Z',
+				status: 'succeeded',
+				attempts: 1,
+				missed: false,
+				lastStatus: 200
+			});
+
+			// Nothing is due a minute later, and weekends are skipped
+			await tick(monday + 60000);
+			await tick(Date.UTC(2025, 5, 8, 9, 0));
+			expect(global.fetch).toHaveBeenCalledTimes(1);
+		});
+
+		it('retries failed runs on the next ticks and reports them once retries are used up', async () => {
+			global.fetch = vi.fn().mockImplementation(async () => new Response('Error', { status: 500 }));
+
+			expect((await tick(monday)).message).toBe('1 scheduled run(s) failed');
+			await tick(monday + 60000);
+			expect(await env.PROXY_DATA.get('schedule:daily-report', 'json')).toMatchObject({ status: 'failed', attempts: 2, lastStatus: 500 });
+
+			// With one retry the run is given up, and later ticks leave it alone
+			await tick(monday + 120000);
+			expect(global.fetch).toHaveBeenCalledTimes(4);
+		});
+
+		it('catches up a run that was missed since the last one', async () => {
+			await env.PROXY_DATA.put('schedule:nightly-cleanup', JSON.stringify({
+				scheduledTime: '2025-06-01T02:30:00.000Z',
+				status: 'succeeded',
+				attempts: 1,
+				missed: false,
+				lastStatus: 200,
+				updatedAt: '2025-06-01T02:30:01.000Z'
+			}));
+
+			await tick(Date.UTC(2025, 5, 2, 6, 15));
+
+			expect(global.fetch).toHaveBeenCalledTimes(1);
+			expect(global.fetch.mock.calls[0][0].method).toBe('GET');
+			expect(await env.PROXY_DATA.get('schedule:nightly-cleanup', 'json')).toMatchObject({
+				scheduledTime: '2025-06-02T02:30:00.000Z',
+				missed: true,
+				status: 'succeeded'
+			});
+		});
+
+		it('lists schedules and their last run through the admin API', async () => {
+			env.ADMIN_TOKEN = 'admin-secret';
+			try {
+				await tick(monday);
+				const request = new Request('http://example.com/_admin/schedules', { headers: { Authorization: 'Bearer admin-secret' } });
+				const { schedules } = await (await worker.fetch(request, env, createExecutionContext())).json();
+
+				expect(schedules).toEqual([
+					expect.objectContaining({ name: 'daily-report', target: 'report-1', lastRun: expect.objectContaining({ status: 'succeeded' }) }),
+					{ name: 'nightly-cleanup', cron: '30 2 * * *', target: 'cleanup-1', lastRun: null }
+				]);
+			} finally {
+				delete env.ADMIN_TOKEN;
+			}
+		});
+	});
+
+	describe('request capture and replay', () => {
+		beforeEach(() => {
+			env.ADMIN_TOKEN = 'admin-secret';
+			env.WORKFLOW_SETTINGS = {
+				'capture-1': { capture: { limit: 2 }, auth: { type: 'api-key', keys: 'CAPTURE_API_KEYS' } }
+			};
+			env.CAPTURE_API_KEYS = 'client-key';
+			global.fetch = vi.fn().mockImplementation(async () => Response.json({ received: true }));
+		});
+
+		afterEach(() => {
+			delete env.ADMIN_TOKEN;
+			delete env.WORKFLOW_SETTINGS;
+			delete env.CAPTURE_API_KEYS;
+		});
+
+		async function send(order) {
+			const ctx = createExecutionContext();
+			const request = new Request('http://example.com/p/capture-1/orders?source=shop', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json', 'X-Api-Key': 'client-key', 'X-Shop-Signature': 'sig' },
+				body: JSON.stringify({ order, customer: { name: 'Ada' } })
+			});
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+			return response;
+		}
+
+		async function admin(path, init = {}) {
+			const request = new Request(`http://example.com/_admin/captures/${path}`, {
+				...init,
+				headers: { Authorization: 'Bearer admin-secret', ...init.headers }
+			});
+			return await worker.fetch(request, env, createExecutionContext());
+		}
+
+		it('records recent requests with their response and keeps only the newest', async () => {
+			await send(1);
+			await send(2);
+			await send(3);
+
+			const { captures } = await (await admin('capture-1')).json();
+			expect(captures).toHaveLength(2);
+			expect(captures[0]).toMatchObject({ method: 'POST', webhookPath: 'capture-1/orders', status: 200 });
+
+			const capture = await (await admin(`capture-1/${captures[0].id}`)).json();
+			expect(capture.request.search).toBe('?source=shop');
+			expect(JSON.parse(atob(capture.request.body))).toEqual({ order: 3, customer: { name: 'Ada' } });
+			expect(capture.response).toMatchObject({ status: 200, body: '{"received":true}', truncated: false });
+
+			// Credentials for the proxy are dropped and other sensitive headers are redacted
+			const headers = Object.fromEntries(capture.request.headers);
+			expect(headers['x-api-key']).toBeUndefined();
+			expect(headers['x-shop-signature']).toBe('[REDACTED]');
+		});
+
+		it('replays a captured request to webhook-test with body edits', async () => {
+			await send(1);
+			const { captures } = await (await admin('capture-1')).json();
+			global.fetch.mockClear();
+
+			const response = await admin(`capture-1/${captures[0].id}/replay`, {
+				method: 'POST',
+				body: JSON.stringify({ set: { 'customer.name': 'Grace', test: true } })
+			});
+
+			expect(response.status).toBe(200);
+			expect(response.headers.get('X-Proxy-Capture-Id')).toBe(captures[0].id);
+			expect(response.headers.get('X-Proxy-Endpoint')).toBe('webhook-test');
+			const upstream = global.fetch.mock.calls[0][0];
+			expect(upstream.url).toBe('https://n8n.example.com/webhook-test/capture-1/orders?source=shop');
+			expect(await upstream.json()).toEqual({ order: 1, customer: { name: 'Grace' }, test: true });
+		});
+
+		it('replays to the production webhook and rejects unknown captures and endpoints', async () => {
+			await send(1);
+			const { captures } = await (await admin('capture-1')).json();
+			global.fetch.mockClear();
+
+			await admin(`capture-1/${captures[0].id}/replay`, { method: 'POST', body: JSON.stringify({ endpoint: 'webhook' }) });
+			expect(global.fetch.mock.calls[0][0].url).toBe('https://n8n.example.com/webhook/capture-1/orders?source=shop');
+
+			const unknown = await admin(`capture-1/${captures[0].id}/replay`, { method: 'POST', body: JSON.stringify({ endpoint: 'other' }) });
+			expect(unknown.status).toBe(400);
+
+			const polluting = await admin(`capture-1/${captures[0].id}/replay`, {
+				method: 'POST',
+				body: JSON.stringify({ set: { '__proto__.polluted': 'yes', 'customer.constructor.prototype.polluted': 'yes' } })
+			});
+			expect(polluting.status).toBe(400);
+			expect((await polluting.json()).error.message).toBe("The path '__proto__.polluted' is not allowed");
+			expect({}.polluted).toBeUndefined();
+			expect((await admin('capture-1/missing')).status).toBe(404);
+			expect((await worker.fetch(new Request('http://example.com/_admin/captures/capture-1'), env, createExecutionContext())).status).toBe(401);
+		});
+
+		it('replays requests captured through a route alias with the settings of the alias', async () => {
+			env.ROUTES = {
+				'shop-orders': {
+					target: 'capture-1',
+					headers: { inject: { 'X-N8N-Auth': 'N8N_HEADER_AUTH' } }
+				}
+			};
+			env.N8N_HEADER_AUTH = 'n8n-secret';
+			try {
+				const ctx = createExecutionContext();
+				await worker.fetch(
+					new Request('http://example.com/hooks/shop-orders/orders', {
+						method: 'POST',
+						headers: { 'Content-Type': 'application/json', 'X-Api-Key': 'client-key' },
+						body: JSON.stringify({ order: 1 })
+					}),
+					env,
+					ctx
+				);
+				await waitOnExecutionContext(ctx);
+				const { captures } = await (await admin('capture-1')).json();
+				global.fetch.mockClear();
+
+				const response = await admin(`capture-1/${captures[0].id}/replay`, { method: 'POST' });
+
+				expect(response.status).toBe(200);
+				const upstream = global.fetch.mock.calls[0][0];
+				expect(upstream.url).toBe('https://n8n.example.com/webhook-test/capture-1/orders');
+				expect(upstream.headers.get('X-N8N-Auth')).toBe('n8n-secret');
+			} finally {
+				delete env.ROUTES;
+				delete env.N8N_HEADER_AUTH;
+			}
+		});
+	});
+
+	describe('error responses when every attempt fails', () => {
+		it('passes the last upstream response through by default', async () => {
+			const request = new Request('http://example.com/tp/123');
+			const ctx = createExecutionContext();
+
+			global.fetch = vi.fn()
+				.mockResolvedValueOnce(new Response('Test webhook missing', { status: 404 }))
+				.mockResolvedValueOnce(new Response('Production webhook broken', { status: 500 }));
+
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(500);
+			expect(await response.text()).toBe('Production webhook broken');
+			expect(response.headers.get('Cache-Control')).toBe('no-store, no-cache, must-revalidate, proxy-revalidate');
+		});
+
+		it('synthesizes a 502 listing every attempt when failureMode is synthesize', async () => {
+			const request = new Request('http://example.com/pt/123', {
+				headers: { 'cf-ray': 'ray-123' }
+			});
+			const ctx = createExecutionContext();
+			env.PROXY_SETTINGS = { failureMode: 'synthesize' };
+
+			global.fetch = vi.fn()
+				.mockResolvedValueOnce(new Response('Production webhook broken', { status: 500 }))
+				.mockResolvedValueOnce(new Response('Test webhook missing', { status: 404 }));
+
+			try {
+				const response = await worker.fetch(request, env, ctx);
+				await waitOnExecutionContext(ctx);
+
+				expect(response.status).toBe(502);
+				expect(await response.json()).toEqual({
+					error: {
+						code: 'upstream-failed',
+						message: 'All attempts to reach the n8n webhook failed',
+						status: 502,
+						requestId: 'ray-123',
+						attempts: [
+							{ endpoint: WEBHOOK_TYPES.PRODUCTION, status: 500, error: 'Request failed with status 500' },
+							{ endpoint: WEBHOOK_TYPES.TEST, status: 404, error: 'Request failed with status 404' }
+						]
+					}
+				});
+			} finally {
+				delete env.PROXY_SETTINGS;
+			}
+		});
+
+		it('synthesizes a 502 when n8n cannot be reached at all', async () => {
+			const request = new Request('http://example.com/p/123');
+			const ctx = createExecutionContext();
+
+			global.fetch = vi.fn().mockRejectedValueOnce(new TypeError('Network connection lost'));
+
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(502);
+			const body = await response.json();
+			expect(body.error.attempts).toEqual([
+				{ endpoint: WEBHOOK_TYPES.PRODUCTION, status: null, error: 'Network connection lost' }
+			]);
+		});
+
+		it('answers with problem+json when the client asks for it', async () => {
+			const request = new Request('http://example.com/', {
+				headers: { 'Accept': 'application/problem+json' }
+			});
+			const ctx = createExecutionContext();
+
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(400);
+			expect(response.headers.get('Content-Type')).toBe('application/problem+json');
+			const body = await response.json();
+			expect(body.type).toBe('urn:n8n-workflow-proxy:error:missing-workflow-id');
+			expect(body.title).toBe('No workflow ID provided in the URL');
+			expect(body.status).toBe(400);
+		});
+	});
+
 	// Test for createNotCachedResponse method
 	it('createNotCachedResponse adds the correct cache control headers', async () => {
 		const originalResponse = new Response('Test response', {
@@ -5,6 +5,17 @@ export default defineWorkersConfig({
 		poolOptions: {
 			workers: {
 				wrangler: { configPath: './wrangler.jsonc' },
+				miniflare: {
+					// Optional bindings that are not part of the default wrangler.jsonc
+					kvNamespaces: ['PROXY_CONFIG', 'PROXY_DATA'],
+					queueProducers: { DELIVERY_QUEUE: 'n8n-deliveries' },
+					durableObjects: {
+						RATE_LIMITER: 'RateLimiter',
+						CIRCUIT_BREAKER: 'CircuitBreaker',
+						REQUEST_STATS: 'RequestStats',
+						IDEMPOTENCY: 'IdempotencyStore',
+					},
+				},
 			},
 		},
 	},